@@ -2,62 +2,157 @@
 // Responsibilities:
 // - Manage default settings and storage
 // - Listen to settings updates and broadcast to content scripts
-// - Dynamically inject `content/shorts.js` into YouTube pages (Shorts feed & single shorts)
+// - Dynamically inject the content script (site adapter + `content/shorts.js`) into supported
+//   short-form pages (YouTube Shorts, Instagram Reels, TikTok; see shared/sites.js)
 // - Handle runtime messages from popup/options/content scripts
+// - Wellbeing: count Shorts per session/day, break reminders and sleep timer (chrome.alarms)
+// - Keyboard shortcuts: chrome.commands and in-page hotkeys route through handleAction()
+// - Serve the selector pack (imported in Options, else bundled content/selectors.json)
+// - Opt-in local watch history in IndexedDB (browse/search/export in Options, resume from popup)
+// - Usage statistics per day in chrome.storage.local (shown in the popup)
+// - Already-seen Short IDs (bounded, expiring) in chrome.storage.local for "skip seen Shorts"
+// - Per-tab state (paused / Shorts advanced / last error) with a toolbar badge per tab
+// - Weekly time-of-day schedules for auto-scroll, enforced with chrome.alarms
+// - Presence: chrome.idle state passed to tabs so content holds auto-advance while the user is away
+// - Named settings profiles: switching copies the profile into `settings`, which is broadcast
+// - Context menus on Short links (start here, open paused, add to queue, block channel) and a
+//   per-tab pause toggle; clicks route through handleAction()
 // - Lightweight, safe, and production-oriented
 
-// Default settings (single source of truth)
-const DEFAULTS = {
-  autoScroll: true,
-  skipAds: false,
-  delayMs: 500,
-  onlyOnWifi: false,
-  pauseOnUnskippableAds: true
-};
+// Settings schema, defaults and migrations live in shared/settings.js (NextFlowSettings)
+importScripts('shared/settings.js', 'shared/i18n.js', 'shared/sites.js', 'shared/schedule.js', 'shared/selector-pack.js');
+const DEFAULTS = NextFlowSettings.DEFAULTS;
+
+const DELAY_STEP_MS = NextFlowSettings.DELAY_STEP_MS;
+const DELAY_MAX_MS = NextFlowSettings.SCHEMA.delayMs.max;
 
-// Helper: promisified chrome.storage (sync)
+// Helper: promisified chrome.storage (sync); settings are always normalized on the way in and out
 function getStoredSettings() {
   return new Promise((resolve) => {
     chrome.storage.sync.get(['settings'], (res) => {
-      resolve(res.settings || DEFAULTS);
+      resolve(NextFlowSettings.normalize(res.settings));
     });
   });
 }
 function setStoredSettings(settings) {
   return new Promise((resolve) => {
-    chrome.storage.sync.set({ settings }, () => resolve());
+    chrome.storage.sync.set({ settings: NextFlowSettings.normalize(settings) }, () => resolve());
   });
 }
 
-// Utility: Check if a URL is YouTube Shorts (feed or single short)
-function isYouTubeShortsUrl(url = '') {
-  if (!url) return false;
-  try {
-    const u = new URL(url);
-    // Includes /shorts/ path OR watch?v= with short-like params (less common)
-    return /\/shorts\//i.test(u.pathname) || /youtube\.com\/shorts/i.test(u.href);
-  } catch (e) {
-    return /\/shorts\//i.test(url);
-  }
+// Named profiles (see shared/settings.js) live in chrome.storage.local: ten whole settings
+// objects don't fit sync's 8 KB per-item quota. `settings` (sync) mirrors the active profile.
+async function getStoredProfiles() {
+  const [{ profiles }, { settings }] = await Promise.all([
+    chrome.storage.local.get(['profiles']),
+    chrome.storage.sync.get(['settings'])
+  ]);
+  return NextFlowSettings.normalizeProfiles(profiles, settings);
+}
+
+// Earlier versions kept `profiles` in sync; move them to local once (unless local has some)
+async function migrateSyncProfiles() {
+  const { profiles: legacy } = await chrome.storage.sync.get(['profiles']);
+  if (!legacy) return;
+  const { profiles } = await chrome.storage.local.get(['profiles']);
+  if (!profiles) await chrome.storage.local.set({ profiles: legacy });
+  await chrome.storage.sync.remove('profiles');
+}
+
+// Serialize profile writes so a quick burst of settings changes doesn't lose one
+let profilesQueue = Promise.resolve();
+
+// Copy the current `settings` into the active profile (no-op when already in step)
+function syncActiveProfile() {
+  const run = profilesQueue.then(async () => {
+    const { profiles: stored } = await chrome.storage.local.get(['profiles']);
+    const profiles = await getStoredProfiles();
+    if (JSON.stringify(stored) === JSON.stringify(profiles)) return;
+    await chrome.storage.local.set({ profiles });
+  });
+  profilesQueue = run.catch((err) => console.warn('NextFlow: could not update profile', err));
+  return profilesQueue;
+}
+
+// Switch profiles; writing `settings` broadcasts the new profile to tabs (storage.onChanged)
+function setActiveProfile(id) {
+  const run = profilesQueue.then(async () => {
+    const profiles = await getStoredProfiles();
+    const target = profiles.items.find(p => p.id === id);
+    if (!target) return null;
+    profiles.activeId = id;
+    await chrome.storage.local.set({ profiles });
+    await chrome.storage.sync.set({ settings: target.settings });
+    return profiles;
+  });
+  profilesQueue = run.catch(() => {});
+  return run;
+}
+
+// Content rules live next to `settings` in sync storage
+function getStoredRules() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(['rules'], (res) => {
+      resolve(Array.isArray(res.rules) ? res.rules : []);
+    });
+  });
+}
+
+// Append a "skip immediately" rule for `channel` unless an equal one exists; true when added
+async function addChannelBlockRule(channel) {
+  const rules = await getStoredRules();
+  const key = channel.replace(/^@/, '').toLowerCase();
+  const exists = rules.some(r => r && r.field === 'channel' && r.match === 'equals' && r.action === 'skip' &&
+    String(r.value || '').replace(/^@/, '').toLowerCase() === key);
+  if (exists) return false;
+  rules.push({
+    id: `r${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    enabled: true,
+    field: 'channel',
+    match: 'equals',
+    value: channel,
+    action: 'skip',
+    afterSec: 3
+  });
+  await chrome.storage.sync.set({ rules });
+  return true;
+}
+
+// Utility: Check if a URL is a supported short-form feed/player (YouTube Shorts, Reels, TikTok)
+function isShortsUrl(url = '') {
+  return !!NextFlowSites.feedSiteForUrl(url);
+}
+
+// Does the tab already run a controller (from the manifest or an earlier injection)?
+function pingContentScript(tabId) {
+  return chrome.tabs.sendMessage(tabId, { action: 'ping' })
+    .then(resp => !!(resp && resp.ok))
+    .catch(() => false); // no listener = not injected yet
 }
 
-// Inject content script into a tab (if matches)
+// Inject content script into a tab (if matches and none is running there)
 async function injectContentScriptIfNeeded(tabId, frameId = 0) {
   try {
     // Small guard: confirm tab still exists and URL matches
     const tab = await chrome.tabs.get(tabId);
-    if (!tab || !tab.url || !isYouTubeShortsUrl(tab.url)) return false;
+    const site = tab && tab.url ? NextFlowSites.feedSiteForUrl(tab.url) : null;
+    if (!site) return false;
+    // The running controller follows in-app navigation itself
+    if (await pingContentScript(tabId)) return false;
 
     // Use chrome.scripting.executeScript to inject content script (MV3)
     // This will run the file in the tab's top-level frame by default.
     await chrome.scripting.executeScript({
       target: { tabId },
-      files: ['content/shorts.js']
+      files: ['shared/settings.js', 'shared/i18n.js', 'shared/sites.js', 'shared/network.js', site.adapter, 'content/shorts.js']
     });
 
     // After injection, send current settings immediately
-    const settings = await getStoredSettings();
-    chrome.tabs.sendMessage(tabId, { action: 'settingsUpdated', payload: settings }).catch(()=>{ /* ignore if no listener */ });
+    await sendSettingsToTab(tabId);
+    const rules = await getStoredRules();
+    chrome.tabs.sendMessage(tabId, { action: 'rulesUpdated', payload: rules }).catch(()=>{ /* ignore if no listener */ });
+    const selectorPack = await getSelectorPackPayload();
+    chrome.tabs.sendMessage(tabId, { action: 'selectorPackUpdated', payload: selectorPack }).catch(()=>{ /* ignore if no listener */ });
 
     console.log(`[NextFlow] Injected content/shorts.js into tab ${tabId}`);
     return true;
@@ -68,96 +163,1259 @@ async function injectContentScriptIfNeeded(tabId, frameId = 0) {
   }
 }
 
+/* ---------- Selector packs ---------- */
+
+// Schema version and selector keys: shared/selector-pack.js (NextFlowSelectorPack)
+let bundledSelectorPack = null;
+
+async function getBundledSelectorPack() {
+  if (!bundledSelectorPack) {
+    const res = await fetch(chrome.runtime.getURL('content/selectors.json'));
+    bundledSelectorPack = await res.json();
+  }
+  return bundledSelectorPack;
+}
+
+// Structural check only (Options also checks CSS syntax before import)
+function isUsableSelectorPack(pack) {
+  return !!pack && pack.schemaVersion === NextFlowSelectorPack.SCHEMA_VERSION && !!pack.selectors &&
+    NextFlowSelectorPack.KEYS.every(k => Array.isArray(pack.selectors[k]) && pack.selectors[k].every(sel => typeof sel === 'string'));
+}
+
+// { pack, bundled, source }: `bundled` is only sent when an imported pack is active,
+// so content scripts know whether a fallback exists.
+async function getSelectorPackPayload() {
+  const bundled = await getBundledSelectorPack();
+  const { selectorPack } = await chrome.storage.local.get(['selectorPack']);
+  if (isUsableSelectorPack(selectorPack)) {
+    return { pack: selectorPack, bundled, source: 'imported' };
+  }
+  return { pack: bundled, bundled: null, source: 'bundled' };
+}
+
+/* ---------- Wellbeing: sessions, daily cap, breaks, sleep timer ---------- */
+
+const SESSION_GAP_MS = 30 * 60 * 1000; // this long without a new Short starts a new session
+const ALARM_SLEEP = 'nextflow-sleep';
+const ALARM_SESSION_LIMIT = 'nextflow-session-limit';
+
+// Local calendar day, e.g. "2025-10-16"
+function todayKey(d = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Session counters live in chrome.storage.session so they survive tab reloads and
+// service worker restarts, but not a browser restart.
+function getSessionState() {
+  return new Promise((resolve) => {
+    chrome.storage.session.get(['wellbeing'], (res) => {
+      const s = res.wellbeing;
+      // A long gap means the previous session is over
+      resolve(s && Date.now() - s.lastActivity <= SESSION_GAP_MS ? s : null);
+    });
+  });
+}
+function setSessionState(wellbeing) {
+  return new Promise((resolve) => {
+    chrome.storage.session.set({ wellbeing }, () => resolve());
+  });
+}
+
+// Daily counter lives in chrome.storage.local and resets on a new calendar day
+function getDailyState() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['daily'], (res) => {
+      const d = res.daily;
+      resolve(d && d.date === todayKey() ? d : { date: todayKey(), shorts: 0 });
+    });
+  });
+}
+function setDailyState(daily) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ daily }, () => resolve());
+  });
+}
+
+function getAlarm(name) {
+  return new Promise((resolve) => chrome.alarms.get(name, (alarm) => resolve(alarm || null)));
+}
+
+// Fire an alarm when the session reaches its minute limit, so tabs stop even mid-Short
+function scheduleSessionLimitAlarm(session, settings) {
+  chrome.alarms.clear(ALARM_SESSION_LIMIT);
+  const max = Number(settings.sessionMaxMinutes) || 0;
+  if (!session || max <= 0) return;
+  const when = session.sessionStart + max * 60 * 1000;
+  if (when > Date.now()) chrome.alarms.create(ALARM_SESSION_LIMIT, { when });
+}
+
+// Snapshot of counters vs. limits, shared by content scripts and the popup
+async function getWellbeingStatus(settings, session, daily) {
+  settings = settings || await getStoredSettings();
+  session = session === undefined ? await getSessionState() : session;
+  daily = daily || await getDailyState();
+  const sessionShorts = session ? session.sessionShorts : 0;
+  const sessionMinutes = session ? Math.floor((Date.now() - session.sessionStart) / 60000) : 0;
+
+  let limit = null;
+  if (settings.dailyMaxShorts > 0 && daily.shorts >= settings.dailyMaxShorts) limit = 'daily';
+  else if (settings.sessionMaxShorts > 0 && sessionShorts >= settings.sessionMaxShorts) limit = 'sessionShorts';
+  else if (settings.sessionMaxMinutes > 0 && sessionMinutes >= settings.sessionMaxMinutes) limit = 'sessionMinutes';
+
+  const breakDue = !limit && settings.breakEveryShorts > 0 && session && session.shortsSinceBreak >= settings.breakEveryShorts;
+  const sleepAlarm = await getAlarm(ALARM_SLEEP);
+
+  return {
+    limit,
+    breakDue: !!breakDue,
+    sessionShorts,
+    sessionMinutes,
+    dailyShorts: daily.shorts,
+    limits: {
+      sessionMaxShorts: settings.sessionMaxShorts || 0,
+      sessionMaxMinutes: settings.sessionMaxMinutes || 0,
+      dailyMaxShorts: settings.dailyMaxShorts || 0,
+      breakEveryShorts: settings.breakEveryShorts || 0
+    },
+    sleepAt: sleepAlarm ? sleepAlarm.scheduledTime : 0
+  };
+}
+
+// A new Short came on screen in some tab: bump session + daily counters
+async function recordShortStarted() {
+  const settings = await getStoredSettings();
+  const t = Date.now();
+  let session = await getSessionState();
+  if (!session) {
+    session = { sessionId: t, sessionStart: t, lastActivity: t, sessionShorts: 0, shortsSinceBreak: 0 };
+    scheduleSessionLimitAlarm(session, settings);
+  }
+  session.sessionShorts += 1;
+  session.shortsSinceBreak += 1;
+  session.lastActivity = t;
+  await setSessionState(session);
+
+  const daily = await getDailyState();
+  daily.shorts += 1;
+  await setDailyState(daily);
+
+  return getWellbeingStatus(settings, session, daily);
+}
+
+function broadcastToSiteTabs(message) {
+  chrome.tabs.query({ url: NextFlowSites.TAB_PATTERNS }, (tabs) => {
+    for (const t of tabs) {
+      chrome.tabs.sendMessage(t.id, message).catch(()=>{/* no listener */});
+    }
+  });
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === ALARM_SLEEP) {
+    // Sleep timer ran out: turn auto-scroll off and ask tabs to pause playback
+    const settings = await getStoredSettings();
+    await setStoredSettings(Object.assign({}, settings, { autoScroll: false }));
+    broadcastToSiteTabs({ action: 'sleepTimerFired' });
+    console.log('NextFlow: sleep timer fired, auto-scroll turned off.');
+  } else if (alarm.name === ALARM_SCHEDULE) {
+    // Schedule flipped: push effective settings to tabs and arm the next change
+    broadcastSettings(await getStoredSettings());
+    armScheduleAlarm();
+  } else if (alarm.name === ALARM_SESSION_LIMIT) {
+    broadcastToSiteTabs({ action: 'wellbeingUpdated', payload: await getWellbeingStatus() });
+  }
+});
+
+/* ---------- Watch history (IndexedDB, opt-in) ---------- */
+
+const HISTORY_DB = 'nextflow';
+const HISTORY_STORE = 'history';
+const HISTORY_MAX_ENTRIES = 5000; // oldest entries are pruned beyond this
+let historyDbPromise = null;
+
+function openHistoryDb() {
+  if (!historyDbPromise) {
+    historyDbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(HISTORY_DB, 1);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('at', 'at');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        historyDbPromise = null;
+        reject(req.error);
+      };
+    });
+  }
+  return historyDbPromise;
+}
+
+// Promisify a single IDBRequest
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function historyStore(mode) {
+  const db = await openHistoryDb();
+  return db.transaction(HISTORY_STORE, mode).objectStore(HISTORY_STORE);
+}
+
+async function addHistoryEntry(entry) {
+  const store = await historyStore('readwrite');
+  await idbRequest(store.add(entry));
+  const count = await idbRequest(store.count());
+  if (count > HISTORY_MAX_ENTRIES) {
+    // Drop the oldest entries (lowest ids) beyond the cap
+    let excess = count - HISTORY_MAX_ENTRIES;
+    const cursorReq = store.openCursor();
+    cursorReq.onsuccess = () => {
+      const cursor = cursorReq.result;
+      if (!cursor || excess <= 0) return;
+      cursor.delete();
+      excess -= 1;
+      cursor.continue();
+    };
+  }
+}
+
+// Newest first; `search` matches Short ID, channel or title; limit 0 = everything
+async function queryHistory({ search = '', limit = 100 } = {}) {
+  const store = await historyStore('readonly');
+  const needle = String(search).trim().toLowerCase();
+  return new Promise((resolve, reject) => {
+    const out = [];
+    const req = store.index('at').openCursor(null, 'prev');
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor || (limit > 0 && out.length >= limit)) return resolve(out);
+      const e = cursor.value;
+      if (!needle || [e.shortId, e.channel, e.title].some(v => String(v || '').toLowerCase().includes(needle))) {
+        out.push(e);
+      }
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function clearHistory() {
+  const store = await historyStore('readwrite');
+  await idbRequest(store.clear());
+}
+
+// Most recent Short from an earlier session (what "resume where I left off" reopens)
+async function lastShortFromPreviousSession() {
+  const session = await getSessionState();
+  const currentId = session ? session.sessionId : null;
+  const store = await historyStore('readonly');
+  return new Promise((resolve, reject) => {
+    const req = store.index('at').openCursor(null, 'prev');
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve(null);
+      if (cursor.value.sessionId !== currentId) return resolve(cursor.value);
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/* ---------- Already-seen Shorts ---------- */
+
+// chrome.storage.local `seen`: { [shortId]: last seen (ms) }, only written while skipSeen is on
+const SEEN_MAX_ENTRIES = 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+let seenQueue = Promise.resolve();
+
+function getSeenMap() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['seen'], (res) => resolve(res.seen || {}));
+  });
+}
+
+async function isShortSeen(shortId, retentionDays) {
+  const seen = await getSeenMap();
+  return !!seen[shortId] && Date.now() - seen[shortId] < retentionDays * DAY_MS;
+}
+
+// Record a Short; drops expired IDs and keeps only the newest SEEN_MAX_ENTRIES
+function markShortSeen(shortId, retentionDays) {
+  const run = seenQueue.then(async () => {
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    const seen = await getSeenMap();
+    seen[shortId] = Date.now();
+    const kept = Object.entries(seen)
+      .filter(([, at]) => at >= cutoff)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, SEEN_MAX_ENTRIES);
+    await chrome.storage.local.set({ seen: Object.fromEntries(kept) });
+    return kept.length;
+  });
+  seenQueue = run.catch(() => {});
+  return run;
+}
+
+function clearSeenShorts() {
+  seenQueue = seenQueue.then(() => chrome.storage.local.remove('seen'));
+  return seenQueue;
+}
+
+/* ---------- Watch queue ---------- */
+
+// chrome.storage.local `queue`: { playing, items: [{ site, shortId, title, channel, addedAt }] }.
+// While `playing`, content scripts open the next queued Short instead of moving on in the feed.
+const QUEUE_MAX_ITEMS = 500;
+let queueWrites = Promise.resolve();
+
+function normalizeQueueItem(item) {
+  if (!item || typeof item !== 'object' || !NextFlowSites.byId(item.site)) return null;
+  const shortId = String(item.shortId || '').trim();
+  if (!/^[A-Za-z0-9_-]{1,64}$/.test(shortId)) return null;
+  return {
+    site: item.site,
+    shortId,
+    title: String(item.title || '').slice(0, 200),
+    channel: String(item.channel || '').slice(0, 100),
+    addedAt: Number(item.addedAt) || Date.now()
+  };
+}
+
+// Valid queue from anything; drops unknown sites, bad IDs and duplicates, keeps the first QUEUE_MAX_ITEMS
+function normalizeQueue(raw) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const items = [];
+  for (const item of Array.isArray(src.items) ? src.items : []) {
+    const clean = normalizeQueueItem(item);
+    if (!clean || items.some(i => i.site === clean.site && i.shortId === clean.shortId)) continue;
+    if (items.length >= QUEUE_MAX_ITEMS) break;
+    items.push(clean);
+  }
+  return { playing: !!src.playing && items.length > 0, items };
+}
+
+function getStoredQueue() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['queue'], (res) => resolve(normalizeQueue(res.queue)));
+  });
+}
+
+// Read-modify-write through `update(queue)`; serialized so popup, options and tabs can't race
+function updateQueue(update) {
+  const run = queueWrites.then(async () => {
+    const queue = normalizeQueue(update(await getStoredQueue()));
+    await chrome.storage.local.set({ queue });
+    return queue;
+  });
+  queueWrites = run.catch(() => {});
+  return run;
+}
+
+// Append a Short unless it is already queued; resolves { queue, added }
+async function addToQueue(entry) {
+  let added = false;
+  const queue = await updateQueue((q) => {
+    const item = normalizeQueueItem(Object.assign({}, entry, { addedAt: Date.now() }));
+    if (item && !q.items.some(i => i.site === item.site && i.shortId === item.shortId)) {
+      q.items.push(item);
+      added = q.items.length <= QUEUE_MAX_ITEMS;
+    }
+    return q;
+  });
+  return { queue, added };
+}
+
+/* ---------- Usage statistics ---------- */
+
+const STATS_KEEP_DAYS = 30;
+const STATS_STRATEGIES = ['skipAd', 'queue', 'playerNext', 'nextLink', 'scroll'];
+// Serialize read-modify-write updates so bursts of events don't overwrite each other
+let statsQueue = Promise.resolve();
+
+function emptyStatsDay() {
+  const strategies = {};
+  for (const k of STATS_STRATEGIES) strategies[k] = 0;
+  return { advanced: 0, watchMs: 0, adWaitMs: 0, strategies };
+}
+
+function getStatsDays() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['stats'], (res) => resolve((res.stats && res.stats.days) || {}));
+  });
+}
+
+function recordStatsEvent(payload) {
+  statsQueue = statsQueue.then(async () => {
+    const days = await getStatsDays();
+    const key = todayKey();
+    const day = Object.assign(emptyStatsDay(), days[key]);
+    if (payload.type === 'navigated') {
+      if (payload.auto) day.advanced += 1;
+      if (STATS_STRATEGIES.includes(payload.strategy)) {
+        day.strategies[payload.strategy] = (day.strategies[payload.strategy] || 0) + 1;
+      }
+    } else if (payload.type === 'time') {
+      day.watchMs += Math.max(0, Number(payload.watchMs) || 0);
+      day.adWaitMs += Math.max(0, Number(payload.adWaitMs) || 0);
+    }
+    days[key] = day;
+    // Keep only the most recent STATS_KEEP_DAYS days
+    const keys = Object.keys(days).sort();
+    for (const old of keys.slice(0, Math.max(0, keys.length - STATS_KEEP_DAYS))) delete days[old];
+    await chrome.storage.local.set({ stats: { days } });
+  }).catch((err) => console.warn('[NextFlow] stats update failed:', err?.message || err));
+  return statsQueue;
+}
+
+function resetStats() {
+  statsQueue = statsQueue.then(() => chrome.storage.local.remove('stats'));
+  return statsQueue;
+}
+
+// Today, last 7 days (including today) and a per-day series for the sparkline
+async function getStatsSummary() {
+  const days = await getStatsDays();
+  const series = [];
+  const week = emptyStatsDay();
+  for (let i = 6; i >= 0; i--) {
+    const d = new Date();
+    d.setDate(d.getDate() - i);
+    const key = todayKey(d);
+    const day = Object.assign(emptyStatsDay(), days[key]);
+    series.push({ date: key, advanced: day.advanced, watchMs: day.watchMs });
+    week.advanced += day.advanced;
+    week.watchMs += day.watchMs;
+    week.adWaitMs += day.adWaitMs;
+    for (const k of STATS_STRATEGIES) week.strategies[k] += day.strategies[k] || 0;
+  }
+  const today = Object.assign(emptyStatsDay(), days[todayKey()]);
+  return { today, week, series };
+}
+
+/* ---------- Schedules ---------- */
+
+// The schedule model (windows, modes, evaluation) lives in shared/schedule.js (NextFlowSchedule)
+const ALARM_SCHEDULE = 'nextflow-schedule';
+
+function getStoredSchedule() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(['schedule'], (res) => {
+      resolve(NextFlowSchedule.normalize(res.schedule));
+    });
+  });
+}
+
+async function getScheduleStatus() {
+  const schedule = await getStoredSchedule();
+  const next = NextFlowSchedule.nextChange(schedule);
+  return {
+    enabled: NextFlowSchedule.isActive(schedule),
+    allowed: NextFlowSchedule.allows(schedule),
+    nextChange: next ? next.getTime() : null
+  };
+}
+
+// Arm an alarm for the next flip; when it fires tabs get fresh effective settings
+async function armScheduleAlarm() {
+  await chrome.alarms.clear(ALARM_SCHEDULE);
+  const next = NextFlowSchedule.nextChange(await getStoredSchedule());
+  if (next) chrome.alarms.create(ALARM_SCHEDULE, { when: next.getTime() });
+}
+
+/* ---------- Presence: idle detection ---------- */
+
+// idleHoldMinutes of no input (or a locked screen) counts as away; 0 turns it off
+async function isUserIdle(settings) {
+  if (!settings.idleHoldMinutes) return false;
+  const state = await chrome.idle.queryState(settings.idleHoldMinutes * 60);
+  return state !== 'active';
+}
+
+// onStateChanged uses the detection interval, so keep it in step with the setting
+function applyIdleDetection(settings) {
+  if (settings.idleHoldMinutes) chrome.idle.setDetectionInterval(settings.idleHoldMinutes * 60);
+}
+
+/* ---------- Per-tab state & toolbar badge ---------- */
+
+// tabId -> { paused, advanced, lastError }. Kept in chrome.storage.session so it
+// survives service worker restarts; entries are dropped when their tab closes.
+const BADGE_COLORS = { on: '#16a34a', paused: '#6b7280', off: '#6b7280', error: '#e53935' };
+let tabStateQueue = Promise.resolve();
+
+function emptyTabState() {
+  return { paused: false, advanced: 0, lastError: null };
+}
+
+function getTabStates() {
+  return new Promise((resolve) => {
+    chrome.storage.session.get(['tabStates'], (res) => resolve(res.tabStates || {}));
+  });
+}
+
+async function getTabState(tabId) {
+  const states = await getTabStates();
+  return Object.assign(emptyTabState(), states[tabId]);
+}
+
+// Merge `patch` into a tab's state (serialized), refresh its badge, return the new state.
+// `patch` may be a function of the previous state, for changes that depend on it (counters).
+function updateTabState(tabId, patch) {
+  const run = tabStateQueue.then(async () => {
+    const states = await getTabStates();
+    const prev = Object.assign(emptyTabState(), states[tabId]);
+    const next = Object.assign(prev, typeof patch === 'function' ? patch(prev) : patch);
+    states[tabId] = next;
+    await chrome.storage.session.set({ tabStates: states });
+    return next;
+  });
+  tabStateQueue = run.catch(() => {});
+  return run.then((state) => {
+    updateBadge(tabId);
+    return state;
+  });
+}
+
+function removeTabState(tabId) {
+  tabStateQueue = tabStateQueue.then(async () => {
+    const states = await getTabStates();
+    if (!(tabId in states)) return;
+    delete states[tabId];
+    await chrome.storage.session.set({ tabStates: states });
+  }).catch(() => {});
+}
+
+// What a tab's content script should run with: global settings + this tab's pause + schedule
+function effectiveSettingsForTab(settings, state, scheduleOk = true) {
+  return Object.assign({}, settings, {
+    autoScroll: !!settings.autoScroll && !state.paused && scheduleOk
+  });
+}
+
+// Sent alongside settings: why auto-scroll is off for a tab even though it is on globally,
+// and whether the user is idle (content holds auto-advance meanwhile)
+function tabContext(state, scheduleOk = true, userIdle = false) {
+  return { tabPaused: !!state.paused, scheduleHold: !scheduleOk, userIdle };
+}
+
+async function sendSettingsToTab(tabId, settings) {
+  settings = settings || await getStoredSettings();
+  const state = await getTabState(tabId);
+  const scheduleOk = NextFlowSchedule.allows(await getStoredSchedule());
+  const userIdle = await isUserIdle(settings);
+  chrome.tabs.sendMessage(tabId, {
+    action: 'settingsUpdated',
+    payload: effectiveSettingsForTab(settings, state, scheduleOk),
+    context: tabContext(state, scheduleOk, userIdle)
+  }).catch(()=>{/* no listener */});
+  updateBadge(tabId, settings, state);
+}
+
+function broadcastSettings(settings) {
+  chrome.tabs.query({ url: NextFlowSites.TAB_PATTERNS }, (tabs) => {
+    for (const t of tabs) {
+      // Best-effort: content script may not be injected yet
+      sendSettingsToTab(t.id, settings);
+    }
+  });
+}
+
+// Badge: blank off Shorts, "!" on error, "OFF" when disabled globally or for the site, "SCH" when held
+// by the schedule, "||" when this
+// tab is paused, otherwise the number of Shorts auto-advanced in this tab ("ON" at 0).
+async function updateBadge(tabId, settings, state) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    settings = settings || await getStoredSettings();
+    state = state || await getTabState(tabId);
+    let text = '';
+    let color = BADGE_COLORS.on;
+    const site = NextFlowSites.feedSiteForUrl(tab.url);
+    if (site) {
+      if (state.lastError) {
+        text = '!';
+        color = BADGE_COLORS.error;
+      } else if (!settings.autoScroll || !NextFlowSites.siteEnabled(site, settings)) {
+        text = 'OFF';
+        color = BADGE_COLORS.off;
+      } else if (!NextFlowSchedule.allows(await getStoredSchedule())) {
+        text = 'SCH';
+        color = BADGE_COLORS.off;
+      } else if (state.paused) {
+        text = '||';
+        color = BADGE_COLORS.paused;
+      } else {
+        text = state.advanced > 0 ? (state.advanced > 99 ? '99+' : String(state.advanced)) : 'ON';
+      }
+    }
+    await chrome.action.setBadgeText({ tabId, text });
+    await chrome.action.setBadgeBackgroundColor({ tabId, color });
+    const title = state.lastError ? `NextFlow — ${state.lastError}` : 'NextFlow';
+    await chrome.action.setTitle({ tabId, title });
+    if (tab.active) syncTabMenu(state);
+  } catch (err) {
+    // tab closed in the meantime
+  }
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => removeTabState(tabId));
+
+/* ---------- Context menus ---------- */
+
+// Link entries show on any page that links to a Short; "Block this channel" needs the
+// content script to find the channel next to the link, so it is limited to supported sites.
+const MENU_LINK_ACTIONS = {
+  'nextflow-start-here': 'startFromShort',
+  'nextflow-open-paused': 'openShortPaused',
+  'nextflow-queue-link': 'queueAddUrl',
+  'nextflow-block-channel': 'blockLinkChannel'
+};
+const MENU_TAB_PAUSED = 'nextflow-tab-paused';
+
+function createContextMenus() {
+  const t = NextFlowI18n.t;
+  chrome.contextMenus.removeAll(() => {
+    const link = { contexts: ['link'], targetUrlPatterns: NextFlowSites.LINK_PATTERNS };
+    chrome.contextMenus.create(Object.assign({ id: 'nextflow-start-here', title: t('menu_startHere') }, link));
+    chrome.contextMenus.create(Object.assign({ id: 'nextflow-open-paused', title: t('menu_openPaused') }, link));
+    chrome.contextMenus.create(Object.assign({ id: 'nextflow-queue-link', title: t('menu_addToQueue') }, link));
+    chrome.contextMenus.create(Object.assign({
+      id: 'nextflow-block-channel',
+      title: t('menu_blockChannel'),
+      documentUrlPatterns: NextFlowSites.TAB_PATTERNS
+    }, link));
+    chrome.contextMenus.create({
+      id: MENU_TAB_PAUSED,
+      type: 'checkbox',
+      title: t('menu_pauseTab'),
+      contexts: ['page', 'video'],
+      documentUrlPatterns: NextFlowSites.TAB_PATTERNS
+    });
+  });
+}
+
+// The checkbox is shared by all tabs: keep it in step with the active one (called from updateBadge)
+function syncTabMenu(state) {
+  chrome.contextMenus.update(MENU_TAB_PAUSED, { checked: !!state.paused }, () => void chrome.runtime.lastError);
+}
+
+// Resolves once the tab has finished loading (or after `timeoutMs`, or if it closes)
+function waitForTabComplete(tabId, timeoutMs = 30000) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      resolve();
+    };
+    const onUpdated = (id, changeInfo) => {
+      if (id === tabId && changeInfo.status === 'complete') done();
+    };
+    const timer = setTimeout(done, timeoutMs);
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.get(tabId).then(tab => tab.status === 'complete' && done(), done);
+  });
+}
+
+// Open `url` next to `opener` with per-tab state `patch` set before the page asks for settings
+async function openShortTab(url, opener, patch) {
+  const props = { url };
+  if (opener && opener.id >= 0) {
+    props.index = opener.index + 1;
+    props.openerTabId = opener.id;
+  }
+  const tab = await chrome.tabs.create(props);
+  await updateTabState(tab.id, patch);
+  await waitForTabComplete(tab.id);
+  await injectContentScriptIfNeeded(tab.id);
+  return tab;
+}
+
+// Best-effort note on the page (only tabs with a content script show it)
+function showNoteInTab(tabId, text) {
+  if (!tabId) return;
+  chrome.tabs.sendMessage(tabId, { action: 'showNote', text }).catch(()=>{/* no listener */});
+}
+
 /* ---------- Event handlers ---------- */
 
-// On install/upgrade: ensure defaults set and do any migrations if needed
+// On install/upgrade: ensure defaults set and run schema migrations
 chrome.runtime.onInstalled.addListener(async (details) => {
   console.log('NextFlow installed/updated:', details);
-  const existing = await getStoredSettings();
-  if (!existing || Object.keys(existing).length === 0) {
+  const { settings: stored } = await chrome.storage.sync.get(['settings']);
+  if (!stored) {
     await setStoredSettings(DEFAULTS);
     console.log('NextFlow: default settings saved.');
   } else {
-    // Merge any missing keys (migration)
-    const merged = Object.assign({}, DEFAULTS, existing);
-    await setStoredSettings(merged);
-    console.log('NextFlow: settings merged on install.');
+    const { settings, from } = NextFlowSettings.migrate(stored);
+    await setStoredSettings(settings);
+    console.log(`NextFlow: settings migrated from schema v${from} to v${NextFlowSettings.SCHEMA_VERSION}.`);
   }
+  // Creates the "Default" profile on first run; migrates every stored profile on update
+  await migrateSyncProfiles();
+  await syncActiveProfile();
+  armScheduleAlarm();
+  // Menu entries persist across restarts; recreate them for this version
+  createContextMenus();
+});
+
+// Alarms persist, but re-arm on browser start in case the clock/timezone moved
+chrome.runtime.onStartup.addListener(() => {
+  armScheduleAlarm();
+});
+
+// Idle/active/locked: re-send settings so each tab picks up the new idle state
+chrome.idle.onStateChanged.addListener(async (state) => {
+  const settings = await getStoredSettings();
+  if (!settings.idleHoldMinutes) return;
+  broadcastSettings(settings);
 });
 
+// The detection interval does not survive a browser restart
+getStoredSettings().then(applyIdleDetection);
+
 // When storage changes (user updated settings via popup/options), broadcast to all relevant tabs
-chrome.storage.onChanged.addListener((changes, areaName) => {
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName === 'local' && changes.selectorPack) {
+    broadcastToSiteTabs({ action: 'selectorPackUpdated', payload: await getSelectorPackPayload() });
+    return;
+  }
   if (areaName !== 'sync') return;
   if (changes.settings) {
-    const newSettings = changes.settings.newValue;
-    // Broadcast to all tabs that match YouTube (shorts)
-    chrome.tabs.query({ url: '*://*.youtube.com/*' }, (tabs) => {
+    // Keep the active profile in step with whoever changed the settings
+    syncActiveProfile();
+    // Limits may have changed: re-arm the session alarm for the running session
+    const newSettings = NextFlowSettings.normalize(changes.settings.newValue);
+    getSessionState().then((session) => scheduleSessionLimitAlarm(session, newSettings));
+    applyIdleDetection(newSettings);
+    // Broadcast to all tabs on supported sites, with each tab's own state applied
+    broadcastSettings(newSettings);
+  }
+  if (changes.schedule) {
+    armScheduleAlarm();
+    broadcastSettings(await getStoredSettings());
+  }
+  if (changes.queue) {
+    broadcastToSiteTabs({ action: 'queueUpdated', payload: normalizeQueue(changes.queue.newValue) });
+  }
+  if (changes.rules) {
+    const newRules = Array.isArray(changes.rules.newValue) ? changes.rules.newValue : [];
+    chrome.tabs.query({ url: NextFlowSites.TAB_PATTERNS }, (tabs) => {
       for (const t of tabs) {
-        // Best-effort: send message; content script may not be injected yet
-        chrome.tabs.sendMessage(t.id, { action: 'settingsUpdated', payload: newSettings }).catch(()=>{/* no listener */});
+        chrome.tabs.sendMessage(t.id, { action: 'rulesUpdated', payload: newRules }).catch(()=>{/* no listener */});
       }
     });
   }
 });
 
-// Listen to runtime messages from popup/options/content scripts
-chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-  (async () => {
-    // Basic sanity
-    if (!msg || !msg.action) return;
-
-    switch (msg.action) {
-      case 'getSettings':
-        {
-          const s = await getStoredSettings();
+// Resolve the tab an action is aimed at: the sender's tab, else the active tab on a supported site
+async function resolveTargetTabId(sender, msg) {
+  if (sender && sender.tab && sender.tab.id) return sender.tab.id;
+  if (msg && msg.tabId) return msg.tabId;
+  const tabs = await chrome.tabs.query({ active: true, lastFocusedWindow: true, url: NextFlowSites.TAB_PATTERNS });
+  return tabs.length ? tabs[0].id : null;
+}
+
+// Central action router, shared by runtime messages and keyboard commands
+async function handleAction(msg, sender, sendResponse = () => {}) {
+  // Basic sanity
+  if (!msg || !msg.action) return;
+
+  switch (msg.action) {
+    case 'getSettings':
+      {
+        const s = await getStoredSettings();
+        // Content scripts get their tab's effective settings (per-tab pause applied)
+        if (sender && sender.tab && sender.tab.id) {
+          const state = await getTabState(sender.tab.id);
+          const scheduleOk = NextFlowSchedule.allows(await getStoredSchedule());
+          const context = tabContext(state, scheduleOk, await isUserIdle(s));
+          sendResponse({ ok: true, settings: effectiveSettingsForTab(s, state, scheduleOk), context });
+        } else {
           sendResponse({ ok: true, settings: s });
         }
-        break;
-      case 'setSettings':
-        {
-          const payload = msg.payload || {};
-          // Merge with defaults to ensure shape
-          const merged = Object.assign({}, DEFAULTS, payload);
-          await setStoredSettings(merged);
+      }
+      break;
+    case 'getProfiles':
+      {
+        const profiles = await getStoredProfiles();
+        sendResponse({ ok: true, profiles });
+      }
+      break;
+    case 'setActiveProfile':
+      {
+        try {
+          const profiles = await setActiveProfile(msg.id);
+          sendResponse(profiles ? { ok: true, profiles } : { ok: false, reason: 'unknown-profile' });
+        } catch (err) {
+          sendResponse({ ok: false, reason: err?.message || String(err) });
+        }
+      }
+      break;
+    case 'getRules':
+      {
+        const rules = await getStoredRules();
+        sendResponse({ ok: true, rules });
+      }
+      break;
+    case 'getSelectorPack':
+      {
+        try {
+          sendResponse(Object.assign({ ok: true }, await getSelectorPackPayload()));
+        } catch (err) {
+          sendResponse({ ok: false, reason: err?.message || String(err) });
+        }
+      }
+      break;
+    case 'setSettings':
+      {
+        const payload = msg.payload || {};
+        // Validate/normalize against the shared schema
+        await setStoredSettings(payload);
+        sendResponse({ ok: true });
+      }
+      break;
+    case 'settingsUpdated':
+      {
+        // Received from popup/options (fire-and-forget) — forward to tab if present
+        const payload = msg.payload || {};
+        // Acknowledge quickly
+        sendResponse({ ok: true });
+        // Broadcast to all supported-site tabs (best-effort)
+        broadcastSettings(NextFlowSettings.normalize(payload));
+      }
+      break;
+    case 'shortStarted':
+      {
+        const status = await recordShortStarted();
+        sendResponse({ ok: true, status });
+      }
+      break;
+    case 'getWellbeing':
+      {
+        const status = await getWellbeingStatus();
+        sendResponse({ ok: true, status });
+      }
+      break;
+    case 'breakTaken':
+      {
+        const session = await getSessionState();
+        if (session) {
+          session.shortsSinceBreak = 0;
+          await setSessionState(session);
+        }
+        sendResponse({ ok: true });
+      }
+      break;
+    case 'startSleepTimer':
+      {
+        const settings = await getStoredSettings();
+        const minutes = Math.max(1, Number(msg.minutes) || settings.sleepTimerMinutes);
+        chrome.alarms.create(ALARM_SLEEP, { delayInMinutes: minutes });
+        sendResponse({ ok: true, sleepAt: Date.now() + minutes * 60 * 1000 });
+      }
+      break;
+    case 'cancelSleepTimer':
+      {
+        chrome.alarms.clear(ALARM_SLEEP);
+        sendResponse({ ok: true });
+      }
+      break;
+    case 'injectIfNeeded':
+      {
+        // Content/popup can request on-demand injection for a given tabId
+        const tabId = (sender.tab && sender.tab.id) || msg.tabId;
+        if (tabId) {
+          const injected = await injectContentScriptIfNeeded(tabId);
+          sendResponse({ ok: injected });
+        } else {
+          sendResponse({ ok: false, reason: 'no-tab' });
+        }
+      }
+      break;
+    case 'seenCheck':
+      {
+        const settings = await getStoredSettings();
+        const seen = settings.skipSeen && msg.shortId
+          ? await isShortSeen(String(msg.shortId), settings.seenRetentionDays)
+          : false;
+        sendResponse({ ok: true, seen });
+      }
+      break;
+    case 'seenMark':
+      {
+        const settings = await getStoredSettings();
+        if (!settings.skipSeen || !msg.shortId) {
+          sendResponse({ ok: false, reason: 'disabled' });
+          break;
+        }
+        const count = await markShortSeen(String(msg.shortId), settings.seenRetentionDays);
+        sendResponse({ ok: true, count });
+      }
+      break;
+    case 'seenCount':
+      {
+        const seen = await getSeenMap();
+        sendResponse({ ok: true, count: Object.keys(seen).length });
+      }
+      break;
+    case 'seenClear':
+      {
+        await clearSeenShorts();
+        sendResponse({ ok: true });
+      }
+      break;
+    case 'getQueue':
+      {
+        sendResponse({ ok: true, queue: await getStoredQueue() });
+      }
+      break;
+    case 'queueAdd':
+      {
+        const { queue, added } = await addToQueue(msg.entry);
+        sendResponse({ ok: true, added, queue });
+      }
+      break;
+    case 'queueSaveTab':
+      {
+        // Popup "Save Short": ask the tab which Short is on screen
+        const tabId = await resolveTargetTabId(sender, msg);
+        let entry = null;
+        try {
+          const resp = tabId ? await chrome.tabs.sendMessage(tabId, { action: 'getCurrentShort' }) : null;
+          entry = resp && resp.entry;
+        } catch (err) {
+          // no content script in that tab
+        }
+        if (!entry) {
+          sendResponse({ ok: false, reason: 'no-short' });
+          break;
+        }
+        const { queue, added } = await addToQueue(entry);
+        sendResponse({ ok: true, added, queue });
+      }
+      break;
+    case 'queueRemove':
+      {
+        const queue = await updateQueue((q) => {
+          q.items = q.items.filter(i => !(i.site === msg.site && i.shortId === msg.shortId));
+          return q;
+        });
+        sendResponse({ ok: true, queue });
+      }
+      break;
+    case 'queueSetItems':
+      {
+        // Options: reorder, import or clear (items are normalized again here)
+        const queue = await updateQueue(q => Object.assign(q, { items: Array.isArray(msg.items) ? msg.items : [] }));
+        sendResponse({ ok: true, queue });
+      }
+      break;
+    case 'queuePlay':
+      {
+        const queue = await updateQueue(q => Object.assign(q, { playing: !!msg.playing }));
+        sendResponse({ ok: true, queue });
+      }
+      break;
+    // History lives in IndexedDB, which can fail (quota, blocked upgrade): reply instead of throwing
+    case 'historyRecord':
+      {
+        try {
+          const settings = await getStoredSettings();
+          const e = msg.entry || {};
+          if (!settings.historyEnabled || !e.shortId) {
+            sendResponse({ ok: false, reason: 'disabled' });
+            break;
+          }
+          const session = await getSessionState();
+          await addHistoryEntry({
+            shortId: String(e.shortId),
+            channel: String(e.channel || ''),
+            title: String(e.title || ''),
+            duration: Math.round(Number(e.duration) || 0),
+            percentWatched: Math.max(0, Math.min(100, Math.round(Number(e.percentWatched) || 0))),
+            endedBy: ['auto-advanced', 'user-scrolled', 'rule-skipped', 'seen-skipped'].includes(e.endedBy) ? e.endedBy : 'user-scrolled',
+            site: NextFlowSites.byId(e.site) ? e.site : 'youtube',
+            at: Number(e.at) || Date.now(),
+            sessionId: session ? session.sessionId : null
+          });
           sendResponse({ ok: true });
+        } catch (err) {
+          sendResponse({ ok: false, error: err?.message || String(err) });
+        }
+      }
+      break;
+    case 'historyQuery':
+      {
+        try {
+          const entries = await queryHistory({ search: msg.search, limit: Number(msg.limit) || 0 });
+          sendResponse({ ok: true, entries });
+        } catch (err) {
+          sendResponse({ ok: false, error: err?.message || String(err) });
         }
-        break;
-      case 'settingsUpdated':
-        {
-          // Received from popup/options (fire-and-forget) — forward to tab if present
-          const payload = msg.payload || {};
-          // Acknowledge quickly
+      }
+      break;
+    case 'historyClear':
+      {
+        try {
+          await clearHistory();
           sendResponse({ ok: true });
-          // Broadcast to all YouTube tabs (best-effort)
-          chrome.tabs.query({ url: '*://*.youtube.com/*' }, (tabs) => {
-            for (const t of tabs) {
-              chrome.tabs.sendMessage(t.id, { action: 'settingsUpdated', payload }).catch(()=>{});
-            }
-          });
+        } catch (err) {
+          sendResponse({ ok: false, error: err?.message || String(err) });
         }
-        break;
-      case 'injectIfNeeded':
-        {
-          // Content/popup can request on-demand injection for a given tabId
-          const tabId = (sender.tab && sender.tab.id) || msg.tabId;
-          if (tabId) {
-            const injected = await injectContentScriptIfNeeded(tabId);
-            sendResponse({ ok: injected });
-          } else {
-            sendResponse({ ok: false, reason: 'no-tab' });
+      }
+      break;
+    case 'historyLastPrevious':
+      {
+        try {
+          const settings = await getStoredSettings();
+          const entry = settings.historyEnabled ? await lastShortFromPreviousSession() : null;
+          sendResponse({ ok: true, entry });
+        } catch (err) {
+          sendResponse({ ok: false, error: err?.message || String(err) });
+        }
+      }
+      break;
+    case 'historyResume':
+      {
+        try {
+          // Same gate as historyLastPrevious: with history off there is nothing to resume
+          const settings = await getStoredSettings();
+          if (!settings.historyEnabled) {
+            sendResponse({ ok: false, reason: 'disabled' });
+            break;
           }
+          const entry = await lastShortFromPreviousSession();
+          if (!entry) {
+            sendResponse({ ok: false, reason: 'no-history' });
+            break;
+          }
+          const site = NextFlowSites.byId(entry.site) || NextFlowSites.byId('youtube');
+          const url = site.shortUrl(entry.shortId);
+          await chrome.tabs.create({ url });
+          sendResponse({ ok: true });
+        } catch (err) {
+          sendResponse({ ok: false, error: err?.message || String(err) });
         }
-        break;
-      // Add more actions as needed
-      default:
-        // Unknown action — ignore
-        break;
-    }
-  })();
+      }
+      break;
+    case 'statsEvent':
+      {
+        if (msg.payload) await recordStatsEvent(msg.payload);
+        const p = msg.payload || {};
+        if (p.type === 'navigated' && sender && sender.tab && sender.tab.id) {
+          await updateTabState(sender.tab.id, (prev) => ({ advanced: prev.advanced + (p.auto ? 1 : 0), lastError: null }));
+        }
+        sendResponse({ ok: true });
+      }
+      break;
+    case 'reportError':
+      {
+        if (sender && sender.tab && sender.tab.id) {
+          await updateTabState(sender.tab.id, { lastError: String(msg.message || 'error').slice(0, 200) });
+        }
+        sendResponse({ ok: true });
+      }
+      break;
+    case 'getTabState':
+      {
+        const tabId = await resolveTargetTabId(sender, msg);
+        sendResponse({ ok: !!tabId, tabId, state: tabId ? await getTabState(tabId) : null });
+      }
+      break;
+    case 'setTabPaused':
+      {
+        const tabId = await resolveTargetTabId(sender, msg);
+        if (!tabId) {
+          sendResponse({ ok: false, reason: 'no-tab' });
+          break;
+        }
+        const state = await updateTabState(tabId, { paused: !!msg.paused });
+        await sendSettingsToTab(tabId);
+        sendResponse({ ok: true, state });
+      }
+      break;
+    case 'getStats':
+      {
+        const stats = await getStatsSummary();
+        sendResponse({ ok: true, stats });
+      }
+      break;
+    case 'resetStats':
+      {
+        await resetStats();
+        sendResponse({ ok: true });
+      }
+      break;
+    case 'getScheduleStatus':
+      {
+        sendResponse(Object.assign({ ok: true }, await getScheduleStatus()));
+      }
+      break;
+    case 'collectDiagnostics':
+      {
+        // Pull the event buffer from the most recently used supported tab (short-form feeds first)
+        const tabs = await chrome.tabs.query({ url: NextFlowSites.TAB_PATTERNS });
+        const byRecent = (a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0);
+        const shorts = tabs.filter(t => isShortsUrl(t.url)).sort(byRecent);
+        const target = shorts[0] || tabs.sort(byRecent)[0];
+        if (!target) {
+          sendResponse({ ok: false, reason: 'no-tab' });
+          break;
+        }
+        try {
+          const data = await chrome.tabs.sendMessage(target.id, { action: 'getDiagnostics' });
+          sendResponse(data && data.ok ? data : { ok: false, reason: 'no-content-script' });
+        } catch (err) {
+          sendResponse({ ok: false, reason: 'no-content-script' });
+        }
+      }
+      break;
+    case 'toggleAutoScroll':
+      {
+        const settings = await getStoredSettings();
+        const autoScroll = !settings.autoScroll;
+        await setStoredSettings(Object.assign({}, settings, { autoScroll }));
+        sendResponse({ ok: true, autoScroll });
+      }
+      break;
+    case 'adjustDelay':
+      {
+        const settings = await getStoredSettings();
+        const step = Number(msg.step) || 0;
+        const current = Number(settings.delayMs) || 0;
+        const delayMs = Math.max(0, Math.min(DELAY_MAX_MS, current + step));
+        await setStoredSettings(Object.assign({}, settings, { delayMs }));
+        sendResponse({ ok: true, delayMs });
+      }
+      break;
+    case 'nextShortNow':
+    case 'holdCurrentShort':
+      {
+        // Forward to the content script of the target tab
+        const tabId = await resolveTargetTabId(sender, msg);
+        if (!tabId) {
+          sendResponse({ ok: false, reason: 'no-tab' });
+          break;
+        }
+        const tabAction = msg.action === 'nextShortNow' ? 'nextNow' : 'holdCurrent';
+        chrome.tabs.sendMessage(tabId, { action: tabAction }).catch(()=>{/* no listener */});
+        sendResponse({ ok: true });
+      }
+      break;
+    case 'startFromShort':
+      {
+        // Context menu: turn auto-scroll (and the site) on and play from the linked Short,
+        // in place on a supported site, else in a new tab
+        const parsed = NextFlowSites.parseShortUrl(msg.url || '');
+        if (!parsed) {
+          sendResponse({ ok: false, reason: 'not-a-short' });
+          break;
+        }
+        const settings = await getStoredSettings();
+        if (!settings.autoScroll || !NextFlowSites.siteEnabled(parsed.site, settings)) {
+          await setStoredSettings(Object.assign({}, settings, { autoScroll: true, [parsed.site.setting]: true }));
+        }
+        const tab = sender && sender.tab;
+        if (tab && tab.id >= 0 && NextFlowSites.siteForUrl(tab.url)) {
+          await updateTabState(tab.id, { paused: false });
+          await chrome.tabs.update(tab.id, { url: msg.url });
+        } else {
+          await openShortTab(msg.url, tab, { paused: false });
+        }
+        sendResponse({ ok: true });
+      }
+      break;
+    case 'openShortPaused':
+      {
+        if (!NextFlowSites.parseShortUrl(msg.url || '')) {
+          sendResponse({ ok: false, reason: 'not-a-short' });
+          break;
+        }
+        const tab = await openShortTab(msg.url, sender && sender.tab, { paused: true });
+        sendResponse({ ok: true, tabId: tab.id });
+      }
+      break;
+    case 'queueAddUrl':
+      {
+        const parsed = NextFlowSites.parseShortUrl(msg.url || '');
+        if (!parsed) {
+          sendResponse({ ok: false, reason: 'not-a-short' });
+          break;
+        }
+        const { added } = await addToQueue({ site: parsed.site.id, shortId: parsed.shortId });
+        showNoteInTab(sender && sender.tab && sender.tab.id, NextFlowI18n.t(added ? 'page_queueSaved' : 'page_queueAlready'));
+        sendResponse({ ok: true, added });
+      }
+      break;
+    case 'blockLinkChannel':
+      {
+        // Only the page knows whose Short the link is: ask the content script
+        const tabId = sender && sender.tab && sender.tab.id;
+        let channel = '';
+        try {
+          const resp = tabId ? await chrome.tabs.sendMessage(tabId, { action: 'channelForLink', url: msg.url }) : null;
+          channel = (resp && resp.channel) || '';
+        } catch (err) {
+          // no content script on this page
+        }
+        if (!channel) {
+          showNoteInTab(tabId, NextFlowI18n.t('page_blockNoChannel'));
+          sendResponse({ ok: false, reason: 'no-channel' });
+          break;
+        }
+        const added = await addChannelBlockRule(channel);
+        showNoteInTab(tabId, NextFlowI18n.t(added ? 'page_blocked' : 'page_alreadyBlocked', channel));
+        sendResponse({ ok: true, channel, added });
+      }
+      break;
+    // Add more actions as needed
+    default:
+      // Unknown action — ignore
+      break;
+  }
+}
+
+// Listen to runtime messages from popup/options/content scripts
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  handleAction(msg, sender, sendResponse).catch((err) => {
+    console.warn('NextFlow: action failed', msg && msg.action, err);
+    sendResponse({ ok: false, error: err?.message || String(err) });
+  });
   // Return true to indicate async response possible
   return true;
 });
 
+// Global keyboard shortcuts (declared under "commands" in manifest.json)
+const COMMAND_ACTIONS = {
+  'toggle-auto-scroll': { action: 'toggleAutoScroll' },
+  'next-short': { action: 'nextShortNow' },
+  'hold-current-short': { action: 'holdCurrentShort' },
+  'delay-increase': { action: 'adjustDelay', step: DELAY_STEP_MS },
+  'delay-decrease': { action: 'adjustDelay', step: -DELAY_STEP_MS }
+};
+chrome.commands.onCommand.addListener((command, tab) => {
+  const msg = COMMAND_ACTIONS[command];
+  if (!msg) return;
+  // Only forward the tab when it is on a supported site; otherwise resolve the active one
+  const sender = tab && tab.url && NextFlowSites.siteForUrl(tab.url) ? { tab } : {};
+  handleAction(msg, sender);
+});
+
+// Context menu clicks; the per-tab checkbox has already flipped, so `checked` is the new state
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const sender = tab && tab.id >= 0 ? { tab } : {};
+  if (info.menuItemId === MENU_TAB_PAUSED) {
+    handleAction({ action: 'setTabPaused', paused: info.checked }, sender);
+    return;
+  }
+  const action = MENU_LINK_ACTIONS[info.menuItemId];
+  if (action) handleAction({ action, url: info.linkUrl }, sender);
+});
+
 /* Tabs listeners:
    - When a tab updates (complete / URL change), try injection if it's a Shorts URL.
    - When a tab is activated (user switches tabs), try injection for active tab if Shorts.
@@ -165,7 +1423,9 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   // Only when URL or status changes to 'complete', check injection
   if ((changeInfo.status && changeInfo.status === 'complete') || changeInfo.url) {
-    if (isYouTubeShortsUrl(tab.url)) {
+    // Keep the badge in step with the page (blank when leaving Shorts)
+    updateBadge(tabId);
+    if (isShortsUrl(tab.url)) {
       // Attempt to inject content script (best-effort)
       injectContentScriptIfNeeded(tabId);
     }
@@ -175,7 +1435,9 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
   try {
     const tab = await chrome.tabs.get(activeInfo.tabId);
-    if (isYouTubeShortsUrl(tab.url)) {
+    // Also brings the "Pause auto-scroll in this tab" menu checkbox in step
+    updateBadge(tab.id);
+    if (isShortsUrl(tab.url)) {
       injectContentScriptIfNeeded(tab.id);
     }
   } catch (err) {
@@ -0,0 +1,88 @@
+// content/adapters/instagram.js - Instagram Reels adapter for the NextFlow controller
+// - Reel ID from /reel/<code> or /reels/<code>
+// - The reel container is found by walking up from the playing <video>
+// - Sponsored reels are treated as ads; there is no skip button to click
+// Loaded before content/shorts.js, which calls this factory with its DOM helpers.
+// See "Site adapter" in content/shorts.js for the interface.
+
+(self.NextFlowAdapters = self.NextFlowAdapters || {}).instagram = function ({ findVisibleVideo, isElementVisible, firstText, log }) {
+  // Closest ancestor of the visible video that still looks like a single reel
+  // (stops at the first element that also holds author links, a <section> or <article>)
+  function findReelContainer() {
+    const video = findVisibleVideo();
+    let el = video;
+    for (let i = 0; el && i < 12; i++) {
+      if (el.tagName === 'ARTICLE' || el.tagName === 'SECTION') return el;
+      if (el !== video && el.querySelector && el.querySelector('a[href^="/"][role="link"]')) return el;
+      el = el.parentElement;
+    }
+    return video ? video.parentElement : null;
+  }
+
+  function tryClickNextButton() {
+    try {
+      const btn = Array.from(document.querySelectorAll('button[aria-label], div[role="button"][aria-label]'))
+        .find(b => /^next$/i.test(b.getAttribute('aria-label') || '') && isElementVisible(b));
+      if (btn) {
+        btn.click();
+        log('Clicked Instagram next button');
+        return true;
+      }
+    } catch (e) {}
+    return false;
+  }
+
+  return {
+    id: 'instagram',
+
+    getShortId() {
+      const m = location.pathname.match(/\/reels?\/([A-Za-z0-9_-]+)/);
+      return m ? m[1] : null;
+    },
+
+    detectAd() {
+      const root = findReelContainer();
+      if (!root) return null;
+      for (const el of root.querySelectorAll('span, a')) {
+        if (/^sponsored$/i.test((el.textContent || '').trim())) return 'badge';
+      }
+      return null;
+    },
+
+    findSkipButton() {
+      return null;
+    },
+
+    readMetadata() {
+      const root = findReelContainer() || document;
+      const meta = { channelName: '', channelHandle: '', title: '', hashtags: [] };
+      // Author link: a single-segment profile path like "/name/"
+      const author = Array.from(root.querySelectorAll('a[href^="/"]'))
+        .find(a => /^\/[A-Za-z0-9._]+\/$/.test(a.getAttribute('href') || '') && (a.textContent || '').trim());
+      if (author) {
+        meta.channelName = (author.textContent || '').trim();
+        meta.channelHandle = '@' + author.getAttribute('href').replace(/\//g, '');
+      }
+
+      meta.title = firstText(root, ['h1', 'span[dir="auto"]']);
+
+      const tags = new Set();
+      for (const a of root.querySelectorAll('a[href^="/explore/tags/"]')) {
+        const txt = (a.textContent || '').trim().replace(/^#/, '');
+        if (txt) tags.add(txt.toLowerCase());
+      }
+      for (const m of meta.title.matchAll(/#([\p{L}\p{N}_]+)/gu)) tags.add(m[1].toLowerCase());
+      meta.hashtags = Array.from(tags);
+      return meta;
+    },
+
+    // Each reel has its own <video>, so the default reel selector fits
+    feedRoot() {
+      return document.querySelector('main');
+    },
+
+    navigation: [
+      ['playerNext', tryClickNextButton]
+    ]
+  };
+};
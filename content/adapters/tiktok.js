@@ -0,0 +1,96 @@
+// content/adapters/tiktok.js - TikTok web adapter for the NextFlow controller
+// - Video ID from /@user/video/<id>, or from the active feed item's video link on For You / Following
+// - Ads carry an "ad-tag" marker or a Sponsored label; there is no skip button to click
+// - Metadata from TikTok's data-e2e attributes
+// Loaded before content/shorts.js, which calls this factory with its DOM helpers.
+// See "Site adapter" in content/shorts.js for the interface.
+
+(self.NextFlowAdapters = self.NextFlowAdapters || {}).tiktok = function ({ findVisibleVideo, isElementVisible, firstText, log }) {
+  // Feed item (article / recommend-list item) around the visible video
+  function findItemContainer() {
+    const video = findVisibleVideo();
+    if (!video) return null;
+    return video.closest('article, [data-e2e="recommend-list-item-container"]') || video.parentElement;
+  }
+
+  function tryClickNextArrow() {
+    try {
+      const btn = document.querySelector('button[data-e2e="arrow-right"]');
+      if (btn && isElementVisible(btn) && !btn.disabled) {
+        btn.click();
+        log('Clicked TikTok next arrow');
+        return true;
+      }
+    } catch (e) {}
+    return false;
+  }
+
+  return {
+    id: 'tiktok',
+
+    getShortId() {
+      const m = location.pathname.match(/\/video\/(\d+)/);
+      if (m) return m[1];
+      const item = findItemContainer();
+      const link = item && item.querySelector('a[href*="/video/"]');
+      const fromLink = link && (link.getAttribute('href') || '').match(/\/video\/(\d+)/);
+      return fromLink ? fromLink[1] : null;
+    },
+
+    detectAd() {
+      const root = findItemContainer();
+      if (!root) return null;
+      if (root.querySelector('[data-e2e="ad-tag"]')) return 'indicator';
+      for (const el of root.querySelectorAll('span, div')) {
+        if (el.children.length === 0 && /^(sponsored|ad)$/i.test((el.textContent || '').trim())) return 'badge';
+      }
+      return null;
+    },
+
+    findSkipButton() {
+      return null;
+    },
+
+    readMetadata() {
+      const root = findItemContainer() || document;
+      const meta = { channelName: '', channelHandle: '', title: '', hashtags: [] };
+      const handle = firstText(root, ['[data-e2e="video-author-uniqueid"]', '[data-e2e="browse-username"]']);
+      if (handle) {
+        meta.channelName = handle;
+        meta.channelHandle = handle.startsWith('@') ? handle : '@' + handle;
+      } else {
+        const author = root.querySelector('a[href^="/@"]');
+        const m = author && (author.getAttribute('href') || '').match(/^\/(@[^/?#]+)/);
+        if (m) {
+          meta.channelHandle = NextFlowSites.decodeHandle(m[1]);
+          meta.channelName = meta.channelHandle.slice(1);
+        }
+      }
+
+      meta.title = firstText(root, ['[data-e2e="video-desc"]', '[data-e2e="browse-video-desc"]']);
+
+      const tags = new Set();
+      for (const a of root.querySelectorAll('a[href^="/tag/"]')) {
+        const txt = (a.textContent || '').trim().replace(/^#/, '');
+        if (txt) tags.add(txt.toLowerCase());
+      }
+      for (const m of meta.title.matchAll(/#([\p{L}\p{N}_]+)/gu)) tags.add(m[1].toLowerCase());
+      meta.hashtags = Array.from(tags);
+      return meta;
+    },
+
+    // Single video pages and the feeds navigate differently
+    pageType() {
+      return /\/video\//.test(location.pathname) ? 'video' : 'feed';
+    },
+
+    reelSelector: '[data-e2e="recommend-list-item-container"], article',
+    feedRoot() {
+      return document.querySelector('#main-content-homepage_hot, #main-content-video_detail, main');
+    },
+
+    navigation: [
+      ['playerNext', tryClickNextArrow]
+    ]
+  };
+};
@@ -0,0 +1,152 @@
+// content/adapters/youtube.js - YouTube Shorts adapter for the NextFlow controller
+// - Short ID from /shorts/<id>; the feed reuses one <video>, so the controller's visible-video finder is enough
+// - Ad detection, skip button and "next" controls come from the selector pack (content/selectors.json)
+// - Metadata (channel, title, hashtags) is read from the active reel
+// Loaded before content/shorts.js, which calls this factory with its DOM helpers.
+// See "Site adapter" in content/shorts.js for the interface.
+
+(self.NextFlowAdapters = self.NextFlowAdapters || {}).youtube = function ({ findWithPack, firstMatch, isElementVisible, firstText, log }) {
+  // The Shorts feed renders several reels at once; the playing one carries [is-active]
+  function findActiveReel() {
+    return document.querySelector('ytd-reel-video-renderer[is-active]') ||
+      document.querySelector('ytd-shorts [is-active]') ||
+      null;
+  }
+
+  // Try to find a visible "Skip Ad" or similar button element
+  function findSkipButton() {
+    // Common selectors for the skip button (pack key "skipButton")
+    const el = findWithPack('skipButton', sels => firstMatch(sels, true));
+    if (el) return el;
+
+    // Fallback: find any button with text "Skip" (iterate buttons)
+    const btns = Array.from(document.getElementsByTagName('button'));
+    for (const b of btns) {
+      try {
+        const txt = (b.innerText || b.textContent || '').trim();
+        if (!txt) continue;
+        if (/^skip/i.test(txt) || /skip ad/i.test(txt)) {
+          if (isElementVisible(b)) return b;
+        }
+      } catch (e) {}
+    }
+    return null;
+  }
+
+  // Strategy: click player "next" button if present (rare)
+  function tryClickPlayerNext() {
+    try {
+      // pack key "playerNext"
+      const btn = findWithPack('playerNext', sels => firstMatch(sels, true));
+      if (btn) {
+        btn.click();
+        log('Clicked player next button');
+        return true;
+      }
+    } catch (e) {}
+    return false;
+  }
+
+  // Strategy: attempt to find next short link in DOM and click it (single-short page)
+  function tryClickNextShortLink() {
+    try {
+      // Common pattern: next short card anchors with href '/shorts/<id>' (pack key "nextShortLink")
+      // Find an anchor that is not the current short (href differs from location)
+      const candidate = findWithPack('nextShortLink', (sels) => {
+        for (const sel of sels) {
+          let anchors = [];
+          try {
+            anchors = Array.from(document.querySelectorAll(sel));
+          } catch (e) {
+            continue;
+          }
+          const match = anchors.find(a => {
+            try {
+              const href = a.getAttribute('href') || '';
+              if (!href) return false;
+              // ignore same as current
+              return !href.includes(location.pathname) && isElementVisible(a);
+            } catch (e) {
+              return false;
+            }
+          });
+          if (match) return match;
+        }
+        return null;
+      });
+
+      if (candidate) {
+        candidate.click();
+        log('Clicked next short anchor');
+        return true;
+      }
+    } catch (e) {}
+    return false;
+  }
+
+  return {
+    id: 'youtube',
+
+    // Extract the current Short's ID from the pathname (/shorts/<id>)
+    getShortId() {
+      const m = location.pathname.match(/\/shorts\/([A-Za-z0-9_-]+)/);
+      return m ? m[1] : null;
+    },
+
+    detectAd() {
+      // Heuristics (selectors from the pack's "adIndicators"):
+      // - YouTube often adds ad-related classes/overlays like "ad-showing", "ytp-ad-player-overlay"
+      // - Look for obvious skip buttons
+      if (findWithPack('adIndicators', sels => firstMatch(sels))) return 'indicator';
+      // Check for skip button (skippable ad present)
+      if (findSkipButton()) return 'skip-button';
+
+      // Some ads are handled as separate videos (hard to detect). Check for "Ad" badges near metadata
+      const badge = findWithPack('adBadge', sels => firstMatch(sels));
+      if (badge && /ad/i.test(badge.textContent || '')) return 'badge';
+      return null;
+    },
+
+    findSkipButton,
+
+    readMetadata() {
+      const root = findActiveReel() || document;
+      const meta = { channelName: '', channelHandle: '', title: '', hashtags: [] };
+      const channelLink = root.querySelector('ytd-channel-name a, .ytReelChannelBarViewModelChannelName a, a[href^="/@"]');
+      if (channelLink) {
+        meta.channelName = (channelLink.textContent || '').trim();
+        const href = channelLink.getAttribute('href') || '';
+        const handle = href.match(/\/(@[^/?#]+)/);
+        if (handle) meta.channelHandle = NextFlowSites.decodeHandle(handle[1]);
+      }
+
+      meta.title = firstText(root, [
+        'h2.title',
+        '.ytShortsVideoTitleViewModelShortsVideoTitle',
+        'yt-formatted-string#title'
+      ]) || (document.title || '').replace(/\s*-\s*YouTube$/i, '').trim();
+
+      // Hashtags: dedicated links plus any #tags written in the title
+      const tags = new Set();
+      for (const a of root.querySelectorAll('a[href^="/hashtag/"]')) {
+        const txt = (a.textContent || '').trim().replace(/^#/, '');
+        if (txt) tags.add(txt.toLowerCase());
+      }
+      for (const m of meta.title.matchAll(/#([\p{L}\p{N}_]+)/gu)) tags.add(m[1].toLowerCase());
+      meta.hashtags = Array.from(tags);
+      return meta;
+    },
+
+    // One renderer per Short; the shared player moves into the active one
+    reelSelector: 'ytd-reel-video-renderer',
+    feedRoot() {
+      return document.querySelector('ytd-shorts #shorts-inner-container, ytd-shorts');
+    },
+
+    // Tried in order after "skip ad" and before the controller's generic scroll
+    navigation: [
+      ['playerNext', tryClickPlayerNext],
+      ['nextLink', tryClickNextShortLink]
+    ]
+  };
+};
@@ -1,494 +1,2036 @@
 // content/shorts.js
-// NextFlow content script for YouTube Shorts
+// NextFlow content script: site-neutral controller for short-form video feeds
+// - Site specifics (Short ID, ad detection, metadata, "next" controls) come from the adapter in
+//   content/adapters/<site>.js, loaded before this script for YouTube Shorts, Instagram Reels and TikTok
 // - Detect visible <video> (the short that's playing) and watch time/progress
 // - When short ends (or reaches threshold), wait delayMs and then go to next short
 // - Policy-aware ad handling: default = pause auto actions during ads; opt-in skip if visible
-// - Multiple strategies to go to "next" (click next button, click skip, scroll feed)
-// - Receives settings via messages { action: 'settingsUpdated', payload: { ... } }
-// - Defensive: idempotent init, debounced actions, MutationObserver for dynamic pages
+// - Multiple strategies to go to "next" (click skip, the adapter's next controls, scroll feed), in the
+//   user's order; each is verified (Short ID or active video changed) with fallback and retries, and
+//   the one that last worked on a page type is tried first
+// - Receives settings via messages { action: 'settingsUpdated', payload: { ... }, context: { ... } }
+// - Content rules engine: skip/hold Shorts by channel, title, hashtag or duration
+// - Wellbeing: report each new Short to background; hold on limits, break interstitial, sleep timer
+// - Optional in-page hotkeys (routed through background like the global chrome.commands)
+// - Configurable advance policy: at end, at X% watched, after max seconds, after N replays, preview mode
+// - Ad/navigation selectors come from a versioned selector pack (bundled content/selectors.json or imported)
+// - Diagnostics: ring buffer of recent events, pulled by the options page as a breakage report
+// - Watch queue: save the Short on screen from the HUD or popup; in queue playback "next" opens the
+//   next saved Short instead of moving on in the feed
+// - Opt-in watch history: report each finished Short (ID, channel, % watched, how it ended) to background
+// - Usage statistics: navigation/strategy counts, watch time and ad wait time sent to background
+// - Skip already-seen Shorts: IDs watched past a threshold are remembered by background; known
+//   Shorts advance after a short grace period with a small in-page note
+// - Network policy (shared/network.js): connection type, Save-Data, bandwidth/latency thresholds;
+//   connection changes hold and resume auto-advance
+// - Presence: hold auto-advance while the tab is hidden, the window is unfocused (optional) or
+//   the user is idle (chrome.idle, reported by background in the tab context)
+// - User intent: manual scroll/swipe cancels a pending advance, a user pause holds until playback
+//   resumes, seeking back re-arms near-end detection; loops are detected from currentTime wrapping
+// - In-page HUD (shadow root) over the player: countdown ring during the delay, cancel / next /
+//   toggle / delay controls and the current state ("waiting for ad", "paused by schedule", ...)
+// - In-page text (HUD, notes, wellbeing screens) comes from the extension's locale catalogs
+//   (shared/i18n.js) and follows their text direction
+// - Accessibility mode: a polite ARIA live region announces each new Short ("Next Short: <title>
+//   by <channel>"); feed scrolling is instant in this mode and whenever reduced motion is requested
+// - Lifecycle: one controller per tab (guarded against re-injection); it starts on feed pages and
+//   fully stops (observer, scan interval, page listeners, HUD) when in-app navigation leaves them
+// - Video tracking: IntersectionObserver on reel containers and a MutationObserver scoped to the
+//   feed, batched into one scan per SCAN_BATCH_MS (no polling); cost counters go to diagnostics
+// - Defensive: idempotent init, debounced actions
 
-/* ============================
-   Config / Internal state
-   ============================ */
-const LOG_PREFIX = '[NextFlow:shorts]';
-let SETTINGS = {
-  autoScroll: true,
-  skipAds: false,
-  delayMs: 500,
-  onlyOnWifi: false,
-  pauseOnUnskippableAds: true
-};
-
-let initialized = false;
-let currentVideo = null;
-let timeupdateHandler = null;
-let endedHandler = null;
-let mutationObserver = null;
-let lastActionTimestamp = 0;
-const ACTION_DEBOUNCE_MS = 800; // prevent double actions
+(function () {
+  // One controller per tab: the manifest and background.js can both load this file, and a
+  // second copy would re-declare everything below and double the observers and timers
+  if (self.__nextFlowController) return;
+  self.__nextFlowController = true;
 
-/* ============================
-   Utility helpers
-   ============================ */
+  /* ============================
+     Config / Internal state
+     ============================ */
+  const LOG_PREFIX = '[NextFlow:shorts]';
+  const { t } = NextFlowI18n;
+  // Defaults and validation live in shared/settings.js (loaded before this script)
+  let SETTINGS = NextFlowSettings.normalize({});
+  // Tab context from background: why auto-scroll is off here while on globally
+  // ({ tabPaused, scheduleHold }) and whether the user is idle ({ userIdle })
+  let TAB_CONTEXT = { tabPaused: false, scheduleHold: false, userIdle: false };
 
-function log(...args) {
-  // comment out or toggle to reduce noise
-  console.debug(LOG_PREFIX, ...args);
-}
+  let initialized = false;
+  let running = false; // observers and page listeners active (only on a feed page)
+  let currentVideo = null;
+  let timeupdateHandler = null;
+  let endedHandler = null;
+  let pauseHandler = null;
+  let playHandler = null;
+  let seekingHandler = null;
+  let lastActionTimestamp = 0;
+  const ACTION_DEBOUNCE_MS = 800; // prevent double actions
 
-function now() {
-  return Date.now();
-}
+  // Verified navigation: each strategy gets NAV_VERIFY_MS to change the Short, checked every
+  // NAV_CHECK_MS; the whole order is retried NAV_RETRIES more times before giving up
+  const NAV_VERIFY_MS = 1500;
+  const NAV_CHECK_MS = 100;
+  const NAV_RETRIES = 1;
+  let navAttempt = null; // { trigger, plan, index, pass, before, timer } while navigating
+  const navMemory = {}; // page type -> strategy that last worked there
 
-function clamp(n, lo, hi) {
-  return Math.max(lo, Math.min(hi, n));
-}
+  // Watch queue (kept by background): while `playing`, "next" opens the next saved Short
+  let QUEUE = { playing: false, items: [] };
 
-// check if we should run based on network (onlyOnWifi)
-function networkAllows() {
-  try {
-    if (!SETTINGS.onlyOnWifi) return true;
-    const nav = navigator;
-    if (nav && nav.connection && nav.connection.effectiveType) {
-      // effectiveType values: 'slow-2g', '2g', '3g', '4g'
-      const t = nav.connection.effectiveType || '';
-      return t === '4g' || t === '5g' || t === 'wifi' || t === 'ethernet';
-    }
-  } catch (e) {}
-  // if we can't determine, be conservative and allow
-  return true;
-}
+  // Content rules (edited on the options page, stored next to `settings`)
+  let RULES = [];
+  // Per-Short state: which Short is on screen and which rule (if any) applies to it
+  let shortState = null;
+  const RULE_METADATA_TIMEOUT_MS = 3000; // evaluate with partial metadata after this
 
-/* ============================
-   DOM helpers (Selectors & heuristics)
-   ============================ */
+  // Selector packs (served by background): `active` is the imported pack or the bundled one
+  let SELECTOR_PACK = { active: null, bundled: null };
+  const packFallbackLogged = {};
+
+  // Diagnostics ring buffer (no URLs: only Short IDs, see record())
+  const DIAG_MAX_EVENTS = 300;
+  const diagEvents = [];
+  let lastAdState = false;
+
+  // Usage statistics: time is accumulated locally and flushed to background in batches
+  const STATS_FLUSH_MS = 15000;
+  const STATS_MAX_TICK_MS = 2000; // gaps longer than this (paused, hidden tab) don't count
+  let statsWatchMs = 0;
+  let statsAdWaitMs = 0;
+  let statsLastTick = 0;
+
+  // Already-seen Shorts: time to read the in-page note (and to stop the skip) before advancing
+  const SEEN_GRACE_MS = 1500;
+  let pageNote = null;
+  let pageNoteTimer = null;
+  // Last right-clicked element, for the "Block this channel" link menu entry
+  let contextMenuTarget = null;
+
+  // User intent: input that moves the feed, and our own pauses (which must not look like the user's)
+  const SCROLL_KEYS = ['ArrowUp', 'ArrowDown', 'PageUp', 'PageDown'];
+  const SELF_PAUSE_GRACE_MS = 500;
+  const LOOP_WRAP_WINDOW_S = 1.5; // a jump to ~0 from this close to the end is a loop, not a seek
+  let selfPauseAt = 0;
+
+  // In-page HUD: built once, shown over the current video while on a Short
+  const HUD_MARGIN_PX = 12;
+  const HUD_TICK_MS = 200;
+  let hud = null; // { host, box, progress, label, delay, toggle }
+  let hudCountdown = null; // { startedAt, duration, label } while delayedActionTimer is pending
+  let hudTicker = null;
+
+  // Accessibility mode: announce a new Short once its metadata has had ANNOUNCE_DELAY_MS to render
+  const ANNOUNCE_DELAY_MS = 800;
+  let liveRegion = null;
+  let announceTimer = null;
+
+  // Network policy result ({ allowed, code, reason }); held auto-advance resumes on a better connection
+  let networkState = { allowed: true, code: null, reason: null };
+
+  // Presence: reason auto-advance is held because nobody is watching ('hidden', 'unfocused', 'idle')
+  let presenceHold = null;
+
+  // Video tracking: an IntersectionObserver on the feed's reel containers plus a MutationObserver
+  // scoped to the feed root; both only queue a scan, which runs at most once per SCAN_BATCH_MS
+  const SCAN_BATCH_MS = 150;
+  let mutationObserver = null;
+  let intersectionObserver = null;
+  let trackedRoot = null;
+  const reelVisibility = new Map(); // observed reel container -> visible area (px²)
+  let scanQueued = false;
+  let perf = null; // tracking cost counters since the controller started (diagnostics)
+
+  // Wellbeing: reason auto-advance is held ('break', 'daily', 'sessionShorts', 'sessionMinutes', 'sleep')
+  let wellbeingHold = null;
+  let wellbeingOverlay = null;
+
+  /* ============================
+     Utility helpers
+     ============================ */
+
+  function log(...args) {
+    // comment out or toggle to reduce noise
+    console.debug(LOG_PREFIX, ...args);
+  }
+
+  function now() {
+    return Date.now();
+  }
+
+  // Strip anything URL-like so diagnostics reports are safe to attach to public issues
+  function scrubForReport(value) {
+    if (typeof value === 'string') return value.replace(/(?:https?:\/\/|www\.)\S+/gi, '[url]');
+    if (typeof value === 'number' || typeof value === 'boolean' || value == null) return value;
+    return scrubForReport(String(value));
+  }
+
+  // Record a diagnostics event; keeps the last DIAG_MAX_EVENTS
+  function record(type, data = {}) {
+    const entry = { t: now(), type, shortId: getCurrentShortId() };
+    for (const [k, v] of Object.entries(data)) entry[k] = scrubForReport(v);
+    diagEvents.push(entry);
+    if (diagEvents.length > DIAG_MAX_EVENTS) diagEvents.shift();
+  }
+
+  function clamp(n, lo, hi) {
+    return Math.max(lo, Math.min(hi, n));
+  }
+
+  // Network policy (shared/network.js), re-evaluated on settings and connection changes
+  function networkAllows() {
+    return networkState.allowed;
+  }
+
+  function updateNetworkState() {
+    const wasAllowed = networkState.allowed;
+    networkState = NextFlowNetwork.evaluate(NextFlowNetwork.connection(), SETTINGS);
+    if (wasAllowed && !networkState.allowed) {
+      log('Network hold:', networkState.reason);
+      record('network-hold', { code: networkState.code });
+      cancelPendingAdvance();
+    } else if (!wasAllowed && networkState.allowed) {
+      log('Network hold lifted');
+      record('network-resume');
+      resumeAfterHold();
+    }
+    renderHud();
+  }
+
+  // All the conditions that must hold before NextFlow navigates on its own
+  function canAutoAdvance() {
+    return SETTINGS.autoScroll && networkAllows() && !wellbeingHold && !presenceHold;
+  }
+
+  /* ============================
+     Site adapter
+     ============================ */
+
+  // Each adapter registers a factory on self.NextFlowAdapters[<site id>]; it is called once with
+  // the DOM helpers below and returns:
+  //   id                     site id from shared/sites.js
+  //   getShortId()           ID of the Short/Reel/video playing now, or null off the feed
+  //   findVideo()            optional; the playing <video> (default: largest visible video)
+  //   detectAd()             truthy reason string ('indicator', 'badge', ...) while an ad plays
+  //   findSkipButton()       visible skip-ad control or null
+  //   readMetadata()         { channelName, channelHandle, title, hashtags } (partial is fine)
+  //   navigation             [name, fn] "next" strategies tried before the generic scroll
+  //   pageType()             optional; kind of page for remembering strategies (default: 'feed')
+  //   reelSelector           optional; one element per item in the feed (default: 'video')
+  //   feedRoot()             optional; element holding the feed, to scope the MutationObserver
+  const SITE = NextFlowSites.siteForUrl(location.href);
+  const ADAPTER = createAdapter();
+
+  function createAdapter() {
+    const factory = SITE && self.NextFlowAdapters ? self.NextFlowAdapters[SITE.id] : null;
+    if (typeof factory !== 'function') return null;
+    return factory({ findVisibleVideo, findWithPack, firstMatch, isElementVisible, firstText, log });
+  }
 
-// Return the most likely visible video element for the current viewport
-function findVisibleVideo() {
-  const videos = Array.from(document.getElementsByTagName('video'));
-  if (!videos.length) return null;
+  // Per-site switch in settings; a disabled site behaves like a page without Shorts
+  function siteEnabled() {
+    return !!ADAPTER && NextFlowSites.siteEnabled(SITE, SETTINGS);
+  }
 
-  // Filter playable and visible videos
-  const candidates = videos.filter(v => {
+  function getCurrentShortId() {
+    if (!siteEnabled()) return null;
     try {
-      if (v.duration === 0 || v.videoWidth === 0) return false;
-      // visible check: offsetParent or bounding rect in viewport
-      const rect = v.getBoundingClientRect();
-      const visible = rect.width > 20 && rect.height > 20 && rect.bottom >= 0 && rect.top <= (window.innerHeight || document.documentElement.clientHeight);
-      return visible;
+      return ADAPTER.getShortId() || null;
     } catch (e) {
-      return false;
+      return null;
     }
-  });
+  }
 
-  if (!candidates.length) return null;
+  function findCurrentVideo() {
+    if (ADAPTER && typeof ADAPTER.findVideo === 'function') {
+      try {
+        return ADAPTER.findVideo();
+      } catch (e) {}
+    }
+    return findVisibleVideo();
+  }
 
-  // Prefer the one with largest area (most likely main short)
-  candidates.sort((a, b) => {
-    const ra = a.getBoundingClientRect();
-    const rb = b.getBoundingClientRect();
-    return (rb.width * rb.height) - (ra.width * ra.height);
-  });
+  // Detect whether an ad is currently playing (adapter heuristics)
+  function isAdPlaying() {
+    let via = null;
+    try {
+      via = ADAPTER ? ADAPTER.detectAd() : null;
+    } catch (e) {}
+    return noteAdState(!!via, via || undefined);
+  }
 
-  return candidates[0];
-}
+  // Ads hold auto-advance unless the user turned off "Pause during unskippable ads"
+  function adHoldsAdvance() {
+    return isAdPlaying() && SETTINGS.pauseOnUnskippableAds;
+  }
 
-// Detect whether an ad is currently playing
-function isAdPlaying() {
-  try {
-    // Heuristics:
-    // - YouTube often adds ad-related classes/overlays like "ad-showing", "ytp-ad-player-overlay"
-    // - Look for obvious skip buttons
-    // - Check for 'ad' in any aria-labels
-    const adSelectors = [
-      '.ad-showing',
-      '.ytp-ad-player-overlay',
-      '.video-ads', // container for ads
-      'ytd-ad-slot', // ad slot element
-      '.ytp-ad-text',
-      '.ytp-ad-module'
-    ];
-    for (const sel of adSelectors) {
-      if (document.querySelector(sel)) return true;
-    }
-    // Check for skip button (skippable ad present)
-    if (findSkipButton()) return true;
-
-    // Some ads are handled as separate videos (hard to detect). Check for "Ad" badges near metadata
-    const badge = document.querySelector('ytd-badge-supported-renderer[slot="badge"]') || document.querySelector('yt-formatted-string.ytd-badge-supported-renderer');
-    if (badge && /ad/i.test(badge.textContent || '')) return true;
-  } catch (e) {
-    // ignore errors in heuristics
-  }
-  return false;
-}
-
-// Try to find a visible "Skip Ad" or similar button element
-function findSkipButton() {
-  // Common selectors for the skip button
-  const candidates = [
-    '.ytp-ad-skip-button.ytp-button', // classic
-    '.ytp-ad-skip-button', 
-    'button[aria-label*="Skip ad"]',
-    'button[aria-label*="Skip"]',
-    'button:contains("Skip ad")' // :contains not supported - kept for reference
-  ];
-  for (const sel of candidates) {
+  function findSkipButton() {
     try {
-      const el = document.querySelector(sel);
-      if (el && isElementVisible(el)) return el;
-    } catch (e) {}
+      return ADAPTER ? ADAPTER.findSkipButton() : null;
+    } catch (e) {
+      return null;
+    }
   }
 
-  // Fallback: find any button with text "Skip" (iterate buttons)
-  const btns = Array.from(document.getElementsByTagName('button'));
-  for (const b of btns) {
+  // Read what we know about the Short on screen: channel, title, hashtags, duration
+  function readShortMetadata(video) {
+    const meta = { shortId: getCurrentShortId(), channelName: '', channelHandle: '', title: '', hashtags: [] };
     try {
-      const txt = (b.innerText || b.textContent || '').trim();
-      if (!txt) continue;
-      if (/^skip/i.test(txt) || /skip ad/i.test(txt)) {
-        if (isElementVisible(b)) return b;
-      }
+      Object.assign(meta, ADAPTER ? ADAPTER.readMetadata(video) : {});
     } catch (e) {}
+    meta.duration = video && isFinite(video.duration) ? video.duration : 0;
+    return meta;
   }
-  return null;
-}
 
-// Is element visible on viewport and display not none?
-function isElementVisible(el) {
-  try {
-    if (!el) return false;
-    const style = window.getComputedStyle(el);
-    if (style.display === 'none' || style.visibility === 'hidden' || parseFloat(style.opacity || '1') < 0.05) return false;
-    const rect = el.getBoundingClientRect();
-    return rect.width > 4 && rect.height > 4 && rect.bottom >= 0 && rect.top <= (window.innerHeight || document.documentElement.clientHeight);
-  } catch (e) {
-    return false;
+  /* ============================
+     DOM helpers (Selectors & heuristics)
+     ============================ */
+
+  // Return the most likely visible video element for the current viewport
+  function findVisibleVideo() {
+    const tracked = mostVisibleReelVideo();
+    if (tracked) return tracked;
+
+    // Nothing tracked yet (feed still loading): measure every video once
+    const videos = Array.from(document.getElementsByTagName('video'));
+    if (!videos.length) return null;
+
+    // Filter playable and visible videos
+    const candidates = videos.filter(v => {
+      try {
+        if (v.duration === 0 || v.videoWidth === 0) return false;
+        // visible check: offsetParent or bounding rect in viewport
+        const rect = v.getBoundingClientRect();
+        const visible = rect.width > 20 && rect.height > 20 && rect.bottom >= 0 && rect.top <= (window.innerHeight || document.documentElement.clientHeight);
+        return visible;
+      } catch (e) {
+        return false;
+      }
+    });
+
+    if (!candidates.length) return null;
+
+    // Prefer the one with largest area (most likely main short)
+    candidates.sort((a, b) => {
+      const ra = a.getBoundingClientRect();
+      const rb = b.getBoundingClientRect();
+      return (rb.width * rb.height) - (ra.width * ra.height);
+    });
+
+    return candidates[0];
   }
-}
 
-/* ============================
-   Action strategies: goToNextShort
-   ============================ */
+  // Selector list for `key` from the active pack (or the bundled one)
+  function packSelectors(key, fromBundled = false) {
+    const pack = fromBundled ? SELECTOR_PACK.bundled : SELECTOR_PACK.active;
+    const list = pack && pack.selectors && pack.selectors[key];
+    return Array.isArray(list) ? list : [];
+  }
 
-// Strategy A: click player "next" button if present (rare)
-function tryClickPlayerNext() {
-  try {
-    const selectors = [
-      'button.ytp-next-button', // video player next
-      'button[aria-label*="Next"]'
-    ];
+  // Run `finder` with the active pack's selectors for `key`. If an imported pack finds
+  // nothing, retry with the bundled pack so a stale import can't break detection.
+  function findWithPack(key, finder) {
+    const found = finder(packSelectors(key));
+    if (found || !SELECTOR_PACK.bundled || SELECTOR_PACK.active === SELECTOR_PACK.bundled) return found;
+    const fallback = finder(packSelectors(key, true));
+    if (fallback && !packFallbackLogged[key]) {
+      packFallbackLogged[key] = true;
+      log(`Selector pack "${key}" found nothing; fell back to bundled pack`);
+    }
+    return fallback;
+  }
+
+  // First element matching any selector (optionally only visible ones)
+  function firstMatch(selectors, visibleOnly = false) {
     for (const sel of selectors) {
-      const btn = document.querySelector(sel);
-      if (btn && isElementVisible(btn)) {
-        btn.click();
-        log('Clicked player next button');
-        return true;
+      try {
+        const el = document.querySelector(sel);
+        if (el && (!visibleOnly || isElementVisible(el))) return el;
+      } catch (e) {
+        // invalid selector in pack - skip it
       }
     }
-  } catch (e) {}
-  return false;
-}
+    return null;
+  }
 
-// Strategy B: if skip button present & allowed by settings, click it
-function tryClickSkipButtonIfAllowed() {
-  if (!SETTINGS.skipAds) return false;
-  const skip = findSkipButton();
-  if (skip) {
+  // Record ad start/end transitions for diagnostics; returns `playing` unchanged
+  function noteAdState(playing, via) {
+    if (playing !== lastAdState) {
+      lastAdState = playing;
+      record(playing ? 'ad-detected' : 'ad-ended', playing ? { via } : {});
+      renderHud();
+    }
+    return playing;
+  }
+
+  // Is element visible on viewport and display not none?
+  function isElementVisible(el) {
     try {
-      skip.click();
-      log('Clicked skip-ad button (user opted-in)');
-      return true;
+      if (!el) return false;
+      const style = window.getComputedStyle(el);
+      if (style.display === 'none' || style.visibility === 'hidden' || parseFloat(style.opacity || '1') < 0.05) return false;
+      const rect = el.getBoundingClientRect();
+      return rect.width > 4 && rect.height > 4 && rect.bottom >= 0 && rect.top <= (window.innerHeight || document.documentElement.clientHeight);
     } catch (e) {
-      log('Failed clicking skip button', e);
+      return false;
     }
   }
-  return false;
-}
 
-// Strategy C: in Shorts feed, scroll down by viewport height (smooth)
-function tryScrollToNext() {
-  try {
-    // For feed-style pages, scroll to the next element by window.innerHeight
-    window.scrollBy({ top: Math.max(window.innerHeight * 0.9, 500), left: 0, behavior: 'smooth' });
-    log('Performed smooth scroll to next (feed fallback)');
-    return true;
-  } catch (e) {
-    return false;
+  // First non-empty text among selectors, scoped to `root`
+  function firstText(root, selectors) {
+    for (const sel of selectors) {
+      try {
+        const el = root.querySelector(sel);
+        const txt = el && (el.textContent || '').trim();
+        if (txt) return txt;
+      } catch (e) {}
+    }
+    return '';
   }
-}
 
-// Strategy D: attempt to find next short link in DOM and click it (single-short page)
-function tryClickNextShortLink() {
-  try {
-    // Common pattern: next short card anchors with href '/shorts/<id>'
-    const anchors = Array.from(document.querySelectorAll('a[href*="/shorts/"]'));
-    if (!anchors.length) return false;
+  /* ============================
+     Content rules engine
+     ============================ */
+
+  // Rule shape (see options page):
+  // { id, enabled, field: 'channel'|'title'|'hashtag'|'duration',
+  //   match: 'contains'|'equals'|'regex'|'lt'|'gt', value, action: 'skip'|'skipAfter'|'never', afterSec }
+  // Rules are evaluated in order; the first matching enabled rule wins.
+
+  function textMatches(text, match, value) {
+    if (!text || !value) return false;
+    const a = String(text).toLowerCase();
+    const b = String(value).toLowerCase();
+    switch (match) {
+      case 'equals': return a === b;
+      case 'regex':
+        try {
+          return new RegExp(value, 'i').test(text);
+        } catch (e) {
+          return false;
+        }
+      case 'contains':
+      default:
+        return a.includes(b);
+    }
+  }
+
+  function ruleMatches(rule, meta) {
+    const value = String(rule.value ?? '').trim();
+    switch (rule.field) {
+      case 'channel': {
+        // Match against "@handle" or display name; "@" is optional in the rule
+        const names = [meta.channelHandle, meta.channelHandle.replace(/^@/, ''), meta.channelName];
+        const target = rule.match === 'regex' ? value : value.replace(/^@/, '');
+        return names.some(c => textMatches(c, rule.match, target));
+      }
+      case 'title':
+        return textMatches(meta.title, rule.match, value);
+      case 'hashtag':
+        return meta.hashtags.some(h => textMatches(h, rule.match, value.replace(/^#/, '')));
+      case 'duration': {
+        const secs = Number(value);
+        if (!meta.duration || !isFinite(secs)) return false;
+        return rule.match === 'gt' ? meta.duration > secs : meta.duration < secs;
+      }
+      default:
+        return false;
+    }
+  }
+
+  function describeRule(rule) {
+    const action = rule.action === 'skipAfter' ? `skipAfter ${rule.afterSec}s` : rule.action;
+    return `${rule.field} ${rule.match} "${rule.value}" -> ${action}`;
+  }
+
+  // Reset per-Short state when a different Short comes on screen
+  function resetShortState(shortId) {
+    shortState = {
+      id: shortId,
+      startedAt: now(),
+      ruleChecked: false,
+      rule: null,
+      ruleActed: false,
+      manualHold: false, // "pause auto-advance for this Short" (hotkey/command)
+      userPaused: false, // the user paused playback; held until it plays again
+      loops: 0, // completed plays detected via currentTime wrapping to 0
+      lastTime: 0,
+      advanceScheduled: false,
+      meta: null, // readShortMetadata() result once the page has rendered it
+      metaReady: false,
+      maxTime: 0, // furthest playback position (for history % watched)
+      seenMarked: false, // reported to background as watched past SETTINGS.seenPercent
+      endedBy: null // 'auto-advanced' | 'rule-skipped' | 'seen-skipped'; null means the user moved on
+    };
+  }
+
+  // Read (and cache) the current Short's metadata until it is complete
+  function captureShortMetadata(video) {
+    if (!shortState) return null;
+    if (shortState.metaReady) return shortState.meta;
+    const meta = readShortMetadata(video);
+    shortState.meta = meta;
+    shortState.metaReady = !!(meta.title || meta.channelHandle || meta.channelName) && meta.duration > 0;
+    return meta;
+  }
 
-    // Find an anchor that is not the current short (href differs from location)
-    const currentHref = location.pathname + location.search + location.hash;
-    const candidate = anchors.find(a => {
+  // Decide (once per Short) which rule applies. Metadata renders a little after the
+  // video starts, so wait for it — but not longer than RULE_METADATA_TIMEOUT_MS.
+  function evaluateRulesForCurrentShort(video) {
+    if (!shortState || shortState.ruleChecked) return;
+    if (!RULES.length) {
+      shortState.ruleChecked = true;
+      return;
+    }
+    const meta = captureShortMetadata(video);
+    if (!shortState.metaReady && now() - shortState.startedAt < RULE_METADATA_TIMEOUT_MS) return;
+
+    shortState.ruleChecked = true;
+    const rule = RULES.find(r => r && r.enabled !== false && ruleMatches(r, meta));
+    if (!rule) return;
+
+    shortState.rule = rule;
+    record('rule', { field: rule.field, match: rule.match, action: rule.action });
+    log(`Rule fired on ${meta.shortId || 'current Short'}:`, describeRule(rule), meta);
+  }
+
+  // True when the current Short is protected by a "never auto-advance" rule
+  function ruleHoldsShort() {
+    return !!(shortState && shortState.rule && shortState.rule.action === 'never');
+  }
+
+  // True when auto-advance is held for this Short (by rule or by the user)
+  function shortIsHeld() {
+    return ruleHoldsShort() || !!(shortState && (shortState.manualHold || shortState.userPaused));
+  }
+
+  // Apply skip / skipAfter rules. Returns true when the rule triggered navigation.
+  function applyRuleActions(video) {
+    if (!shortState || !shortState.rule || shortState.ruleActed) return false;
+    if (!canAutoAdvance()) return false;
+    const rule = shortState.rule;
+    if (rule.action === 'never') return false;
+
+    const cur = video ? video.currentTime || 0 : 0;
+    const after = rule.action === 'skipAfter' ? Math.max(0, Number(rule.afterSec) || 0) : 0;
+    if (cur < after) return false;
+
+    shortState.ruleActed = true;
+    shortState.endedBy = 'rule-skipped';
+    if (delayedActionTimer) {
+      clearTimeout(delayedActionTimer);
+      delayedActionTimer = null;
+    }
+    const ok = goToNextShort();
+    log('Rule skip executed:', describeRule(rule), ok);
+    return ok;
+  }
+
+  /* ============================
+     Advance policy
+     ============================ */
+
+  // Legacy "finished" heuristic: >= 98% or within 0.7s of the end
+  function isNearEnd(cur, dur) {
+    return (cur / dur) * 100 >= 98 || (dur - cur) <= 0.7;
+  }
+
+  // Shorts loop instead of ending: currentTime wraps from the end back to ~0
+  function isLoopWrap(cur, dur) {
+    return !!shortState && shortState.lastTime > dur - LOOP_WRAP_WINDOW_S && cur < 1;
+  }
+
+  // Track completed plays. Returns true when the play that just completed met the advance
+  // policy but near-end detection missed it (sparse timeupdates), so the wrap counts as the end.
+  function trackLoops(cur, dur) {
+    if (!shortState) return false;
+    let missedEnd = false;
+    if (isLoopWrap(cur, dur)) {
+      missedEnd = !shortState.advanceScheduled && advancePolicyReached(dur, dur);
+      shortState.loops += 1;
+      // a new play may schedule again (e.g. replay policy)
+      shortState.advanceScheduled = false;
+      log('Loop detected, plays completed:', shortState.loops);
+    }
+    shortState.lastTime = cur;
+    return missedEnd;
+  }
+
+  // Has the current Short met the configured advance policy?
+  function advancePolicyReached(cur, dur) {
+    const loops = shortState ? shortState.loops : 0;
+    switch (SETTINGS.advanceMode) {
+      case 'percent': {
+        const pct = clamp(Number(SETTINGS.advancePercent) || 98, 1, 100);
+        return (cur / dur) * 100 >= pct || isNearEnd(cur, dur);
+      }
+      case 'maxSeconds': {
+        const max = Math.max(1, Number(SETTINGS.advanceMaxSeconds) || 30);
+        return cur >= max || isNearEnd(cur, dur);
+      }
+      case 'loops': {
+        // advance at the end of a play once the Short has been replayed N times
+        const replays = Math.max(0, Math.floor(Number(SETTINGS.advanceLoops) || 0));
+        return loops >= replays && isNearEnd(cur, dur);
+      }
+      case 'preview': {
+        const secs = Math.max(1, Number(SETTINGS.previewSeconds) || 5);
+        return cur >= secs || isNearEnd(cur, dur);
+      }
+      case 'end':
+      default:
+        return isNearEnd(cur, dur);
+    }
+  }
+
+  /* ============================
+     Action strategies: goToNextShort
+     ============================ */
+
+  // Strategy: if skip button present & allowed by settings, click it
+  function tryClickSkipButtonIfAllowed() {
+    if (!SETTINGS.skipAds) return false;
+    const skip = findSkipButton();
+    if (skip) {
       try {
-        const href = a.getAttribute('href') || '';
-        if (!href) return false;
-        // ignore same as current
-        return !href.includes(location.pathname) && isElementVisible(a);
+        skip.click();
+        log('Clicked skip-ad button (user opted-in)');
+        return true;
       } catch (e) {
-        return false;
+        log('Failed clicking skip button', e);
       }
-    });
+    }
+    return false;
+  }
+
+  // Nearest ancestor that scrolls vertically (feeds often scroll a container, not the window)
+  function scrollableAncestor(el) {
+    for (let node = el && el.parentElement; node && node !== document.body; node = node.parentElement) {
+      const overflow = getComputedStyle(node).overflowY;
+      if ((overflow === 'auto' || overflow === 'scroll') && node.scrollHeight > node.clientHeight) return node;
+    }
+    return null;
+  }
 
-    if (candidate) {
-      candidate.click();
-      log('Clicked next short anchor');
+  // Strategy: in the feed, bring the next reel below the current one into view, else scroll
+  // the feed's scroller (or the window) down by about a screen (see scrollBehavior())
+  function tryScrollToNext() {
+    try {
+      const behavior = scrollBehavior();
+      const current = currentVideo && currentVideo.isConnected ? currentVideo : findCurrentVideo();
+      const reel = current ? current.closest(reelSelector()) || current : null;
+      if (reel) {
+        const top = reel.getBoundingClientRect().top;
+        const next = Array.from(document.querySelectorAll(reelSelector()))
+          .filter(el => el !== reel && el.getBoundingClientRect().top > top + 20)
+          .sort((a, b) => a.getBoundingClientRect().top - b.getBoundingClientRect().top)[0];
+        if (next) {
+          next.scrollIntoView({ behavior, block: 'center' });
+          log('Scrolled next reel into view');
+          return true;
+        }
+        const scroller = scrollableAncestor(reel);
+        if (scroller) {
+          scroller.scrollBy({ top: scroller.clientHeight, left: 0, behavior });
+          log('Scrolled feed container to next');
+          return true;
+        }
+      }
+      window.scrollBy({ top: Math.max(window.innerHeight * 0.9, 500), left: 0, behavior });
+      log(`Performed ${behavior} scroll to next (feed fallback)`);
       return true;
+    } catch (e) {
+      return false;
     }
-  } catch (e) {}
-  return false;
-}
+  }
 
-// The central "go to next" which tries strategies in order
-function goToNextShort() {
-  // Debounce actions to avoid rapid firing
-  if (now() - lastActionTimestamp < ACTION_DEBOUNCE_MS) {
-    log('Action debounced');
-    return false;
+  // The saved Short after the current one (the first if this one isn't queued), or null
+  function nextQueuedItem() {
+    const shortId = getCurrentShortId();
+    const index = QUEUE.items.findIndex(i => SITE && i.site === SITE.id && i.shortId === shortId);
+    return QUEUE.items[index + 1] || null;
   }
-  lastActionTimestamp = now();
 
-  // Strategy order:
-  // 1. If skipAds and skip button visible -> click skip
-  if (tryClickSkipButtonIfAllowed()) return true;
+  // Strategy (queue playback): open the next saved Short. At the end of the queue, playback
+  // stops and navigation falls back to the feed.
+  function tryPlayNextQueued() {
+    const item = nextQueuedItem();
+    const site = item && NextFlowSites.byId(item.site);
+    if (!site) {
+      log('End of queue');
+      showPageNote(t('page_queueEnded'), 2500);
+      chrome.runtime.sendMessage({ action: 'queuePlay', playing: false }, () => {});
+      QUEUE = Object.assign({}, QUEUE, { playing: false });
+      return false;
+    }
+    log('Opening next queued Short', item.shortId);
+    location.assign(site.shortUrl(item.shortId));
+    return true;
+  }
 
-  // 2. Click player next if present
-  if (tryClickPlayerNext()) return true;
+  // Strategies by id: skipping an ad, the queue, the adapter's own controls, the generic scroll
+  function strategyById(id) {
+    if (id === 'skipAd') return tryClickSkipButtonIfAllowed;
+    if (id === 'queue') return tryPlayNextQueued;
+    if (id === 'scroll') return tryScrollToNext;
+    const entry = ((ADAPTER && ADAPTER.navigation) || []).find(([name]) => name === id);
+    return entry ? entry[1] : null;
+  }
 
-  // 3. Try clicking next short link (single short page)
-  if (tryClickNextShortLink()) return true;
+  // Page type for remembering strategies ("youtube:shorts", "tiktok:feed", ...)
+  function navPageType() {
+    let type = 'feed';
+    try {
+      if (ADAPTER && typeof ADAPTER.pageType === 'function') type = ADAPTER.pageType() || type;
+    } catch (e) {}
+    return `${SITE ? SITE.id : 'unknown'}:${type}`;
+  }
 
-  // 4. Scroll feed fallback
-  if (tryScrollToNext()) return true;
+  // Strategy order for one attempt: skip ad first, then the queue while it plays, then the
+  // strategy that last worked on this page type, then the user's order (disabled ones and ones
+  // this site lacks are left out)
+  function navigationPlan() {
+    const ids = SETTINGS.navStrategies.filter(s => s.enabled).map(s => s.id);
+    const remembered = navMemory[navPageType()];
+    if (remembered && ids.includes(remembered)) ids.unshift(...ids.splice(ids.indexOf(remembered), 1));
+    const first = QUEUE.playing ? ['skipAd', 'queue'] : ['skipAd'];
+    return [...first, ...ids].map(id => [id, strategyById(id)]).filter(([, run]) => run);
+  }
 
-  log('No next strategy succeeded');
-  return false;
-}
+  function navSnapshot() {
+    return { shortId: getCurrentShortId(), video: findCurrentVideo() };
+  }
 
-/* ============================
-   Video monitoring: handlers
-   ============================ */
+  // Did the page really move on? A new Short ID or another active video; for a skipped ad,
+  // the ad ending is enough
+  function navigationHappened(before, name) {
+    const shortId = getCurrentShortId();
+    if (shortId && shortId !== before.shortId) return true;
+    const video = findCurrentVideo();
+    if (video && before.video && video !== before.video) return true;
+    return name === 'skipAd' && !isAdPlaying();
+  }
 
-function attachVideoListeners(video) {
-  detachVideoListeners(); // ensure single binding
-  if (!video) return;
+  // The central "go to next": tries strategies in order and checks each one worked (see
+  // navigationHappened) within NAV_VERIFY_MS before falling back to the next, for up to
+  // 1 + NAV_RETRIES passes. Returns true when an attempt started; the result arrives later.
+  // `trigger` is 'auto' (delay/rule) or 'manual' (next-now command/hotkey), for statistics.
+  function goToNextShort(trigger = 'auto') {
+    // Debounce actions to avoid rapid firing
+    if (now() - lastActionTimestamp < ACTION_DEBOUNCE_MS) {
+      log('Action debounced');
+      return false;
+    }
+    if (navAttempt) {
+      log('Navigation already in progress');
+      return false;
+    }
+    lastActionTimestamp = now();
 
-  currentVideo = video;
+    navAttempt = { trigger, plan: navigationPlan(), index: 0, pass: 0, before: navSnapshot(), timer: null };
+    runNextStrategy();
+    return true;
+  }
 
-  // timeupdate: watch for "near end" if ended event not reliable
-  timeupdateHandler = () => {
-    try {
-      if (!currentVideo) return;
-      const cur = currentVideo.currentTime || 0;
-      const dur = currentVideo.duration || 0;
-      if (!isFinite(dur) || dur <= 0) return;
-
-      // if playing ad -> don't trigger
-      if (isAdPlaying()) {
-        // if configured to pause on unskippable ads, we won't do actions
-        log('Ad detected during timeupdate; pausing actions');
+  function runNextStrategy() {
+    const attempt = navAttempt;
+    if (!attempt) return;
+    if (attempt.index >= attempt.plan.length) {
+      if (attempt.pass >= NAV_RETRIES) {
+        navigationFailed();
         return;
       }
+      attempt.pass++;
+      attempt.index = 0;
+      record('nav-retry', { pass: attempt.pass });
+    }
+
+    const [name, run] = attempt.plan[attempt.index++];
+    let ran = false;
+    try {
+      ran = !!run();
+    } catch (e) {}
+    if (!ran) {
+      // nothing to click for this one; try the next right away
+      record('strategy', { name, ok: false });
+      runNextStrategy();
+      return;
+    }
+    if (name === 'queue') {
+      // the page is being replaced; there is nothing left to verify here
+      navigationSucceeded(name, 0);
+      return;
+    }
+
+    const startedAt = now();
+    const check = () => {
+      if (navAttempt !== attempt) return;
+      if (navigationHappened(attempt.before, name)) {
+        navigationSucceeded(name, now() - startedAt);
+      } else if (now() - startedAt >= NAV_VERIFY_MS) {
+        record('strategy', { name, ok: false, unverified: true });
+        log(`Strategy "${name}" ran but the Short did not change`);
+        runNextStrategy();
+      } else {
+        attempt.timer = setTimeout(check, NAV_CHECK_MS);
+      }
+    };
+    attempt.timer = setTimeout(check, NAV_CHECK_MS);
+  }
+
+  function navigationSucceeded(name, ms) {
+    const { trigger } = navAttempt;
+    navAttempt = null;
+    record('strategy', { name, ok: true, ms });
+    if (name !== 'skipAd' && name !== 'queue') navMemory[navPageType()] = name;
+    sendStatsEvent({ type: 'navigated', strategy: name, auto: trigger !== 'manual' });
+    requestScan();
+  }
+
+  function navigationFailed() {
+    navAttempt = null;
+    log('No next strategy succeeded');
+    try {
+      // shown on this tab's toolbar badge until the next successful navigation
+      chrome.runtime.sendMessage({ action: 'reportError', message: t('page_errorNoNavigation') }, () => {});
+    } catch (e) {}
+  }
+
+  function cancelNavigation() {
+    if (!navAttempt) return;
+    clearTimeout(navAttempt.timer);
+    navAttempt = null;
+  }
+
+  /* ============================
+     Video monitoring: handlers
+     ============================ */
+
+  function attachVideoListeners(video) {
+    detachVideoListeners(); // ensure single binding
+    if (!video) return;
+
+    currentVideo = video;
+
+    // timeupdate: watch for "near end" if ended event not reliable
+    timeupdateHandler = () => {
+      try {
+        if (!currentVideo) return;
+        // The reused Shorts player keeps playing across Shorts; a new ID needs a scan
+        if (shortState && getCurrentShortId() !== shortState.id) requestScan();
+        const cur = currentVideo.currentTime || 0;
+        const dur = currentVideo.duration || 0;
+        if (!isFinite(dur) || dur <= 0) return;
 
-      const pct = (cur / dur) * 100;
-      // If it's >= 98% or within 0.7s of end, consider it finished
-      if (pct >= 98 || (dur - cur) <= 0.7) {
-        // Only trigger if autoScroll enabled and network permits
-        if (SETTINGS.autoScroll && networkAllows()) {
-          log('Near end detected -> scheduling next');
+        // if playing ad -> don't trigger
+        const adPlaying = isAdPlaying();
+        tickStatsTime(adPlaying);
+        if (adPlaying && SETTINGS.pauseOnUnskippableAds) {
+          log('Ad detected during timeupdate; pausing actions');
+          return;
+        }
+
+        const missedEnd = trackLoops(cur, dur);
+        if (shortState) {
+          shortState.maxTime = Math.max(shortState.maxTime, cur);
+          captureShortMetadata(currentVideo);
+          markSeenIfWatched(cur, dur);
+        }
+
+        // content rules: decide once per Short, then apply skip actions
+        evaluateRulesForCurrentShort(currentVideo);
+        if (applyRuleActions(currentVideo)) return;
+        if (shortIsHeld()) return;
+
+        // Advance policy (end / percent / max seconds / replays / preview), once per play
+        if (shortState && shortState.advanceScheduled) return;
+        if (missedEnd || advancePolicyReached(cur, dur)) {
+          // Only trigger if autoScroll enabled, network permits and no wellbeing hold
+          if (canAutoAdvance()) {
+            log(`Advance policy "${SETTINGS.advanceMode}" reached -> scheduling next`);
+            if (shortState) shortState.advanceScheduled = true;
+            scheduleNextActionWithDelay();
+          }
+        }
+      } catch (e) {}
+    };
+
+    // ended event (most reliable)
+    endedHandler = () => {
+      try {
+        if (adHoldsAdvance()) {
+          log('Ended but ad playing -> ignoring');
+          return;
+        }
+        if (shortIsHeld()) {
+          log('Ended but this Short is held -> ignoring');
+          return;
+        }
+        if (canAutoAdvance()) {
+          log('Ended event -> scheduling next');
           scheduleNextActionWithDelay();
         }
+      } catch (e) {}
+    };
+
+    // pause/play: a pause we didn't cause holds auto-advance until playback resumes
+    pauseHandler = () => {
+      if (!shortState || video.ended || now() - selfPauseAt < SELF_PAUSE_GRACE_MS) return;
+      shortState.userPaused = true;
+      cancelPendingAdvance();
+      renderHud();
+      record('user-intent', { type: 'pause' });
+      log('User paused -> holding auto-advance');
+    };
+    playHandler = () => {
+      if (!shortState || !shortState.userPaused) return;
+      shortState.userPaused = false;
+      renderHud();
+      record('user-intent', { type: 'play' });
+      log('Playback resumed -> auto-advance allowed');
+    };
+
+    // seeking back re-arms near-end detection (a jump from the very end to ~0 is a loop)
+    seekingHandler = () => {
+      if (!shortState) return;
+      const cur = video.currentTime || 0;
+      const dur = video.duration || 0;
+      if (cur >= shortState.lastTime - 0.5 || isLoopWrap(cur, dur)) return;
+      shortState.lastTime = cur;
+      cancelPendingAdvance();
+      record('user-intent', { type: 'seek-back' });
+      log('Seek back -> near-end detection reset');
+    };
+
+    video.addEventListener('timeupdate', timeupdateHandler, { passive: true });
+    video.addEventListener('ended', endedHandler, { passive: true });
+    video.addEventListener('pause', pauseHandler, { passive: true });
+    video.addEventListener('play', playHandler, { passive: true });
+    video.addEventListener('seeking', seekingHandler, { passive: true });
+
+    record('video-attach', { duration: isFinite(video.duration) ? Math.round(video.duration) : null });
+    log('Attached video listeners to', video);
+  }
+
+  function detachVideoListeners() {
+    try {
+      if (currentVideo) {
+        record('video-detach');
+        if (timeupdateHandler) currentVideo.removeEventListener('timeupdate', timeupdateHandler);
+        if (endedHandler) currentVideo.removeEventListener('ended', endedHandler);
+        if (pauseHandler) currentVideo.removeEventListener('pause', pauseHandler);
+        if (playHandler) currentVideo.removeEventListener('play', playHandler);
+        if (seekingHandler) currentVideo.removeEventListener('seeking', seekingHandler);
       }
     } catch (e) {}
+    currentVideo = null;
+    timeupdateHandler = null;
+    endedHandler = null;
+    pauseHandler = null;
+    playHandler = null;
+    seekingHandler = null;
+  }
+
+  /* ============================
+     Scheduling with delay & ad guards
+     ============================ */
+  let delayedActionTimer = null;
+  function scheduleNextActionWithDelay() {
+    // clear existing
+    if (delayedActionTimer) {
+      clearTimeout(delayedActionTimer);
+      delayedActionTimer = null;
+    }
+
+    const delay = clamp(Number(SETTINGS.delayMs) || 0, 0, NextFlowSettings.SCHEMA.delayMs.max);
+    record('schedule', { delay, mode: SETTINGS.advanceMode });
+
+    hudStartCountdown(delay, 'page_hudNextIn');
+
+    delayedActionTimer = setTimeout(() => {
+      delayedActionTimer = null;
+      try {
+        // If ad playing and pauseOnUnskippableAds = true, do nothing
+        if (adHoldsAdvance()) {
+          log('Scheduled action aborted - ad playing');
+          record('schedule-abort', { reason: 'ad' });
+          return;
+        }
+        // The user paused or held this Short during the delay
+        if (shortIsHeld()) {
+          log('Scheduled action aborted - Short is held');
+          record('schedule-abort', { reason: 'held' });
+          return;
+        }
+        // Nobody watching any more (tab hidden, window unfocused, user idle)
+        if (presenceHold) {
+          log('Scheduled action aborted - presence hold:', presenceHold);
+          record('schedule-abort', { reason: presenceHold });
+          return;
+        }
+        // A limit or break may have kicked in during the delay
+        if (wellbeingHold) {
+          log('Scheduled action aborted - wellbeing hold:', wellbeingHold);
+          record('schedule-abort', { reason: wellbeingHold });
+          return;
+        }
+        // Execute next
+        const ok = goToNextShort();
+        if (ok && shortState && !shortState.endedBy) shortState.endedBy = 'auto-advanced';
+        record('schedule-fired', { ok });
+        log('goToNextShort executed:', ok);
+      } catch (e) {
+        log('Error in scheduled action', e);
+      }
+      renderHud();
+    }, delay);
+  }
+
+  /* ============================
+     Wellbeing: limits, breaks, sleep timer
+     ============================ */
+
+  const WELLBEING_COPY = {
+    break: [t('page_breakTitle'), t('page_breakText'), t('page_breakButton')],
+    daily: [t('page_dailyTitle'), t('page_dailyText'), t('page_dismiss')],
+    sessionShorts: [t('page_sessionShortsTitle'), t('page_sessionShortsText'), t('page_dismiss')],
+    sessionMinutes: [t('page_sessionMinutesTitle'), t('page_sessionMinutesText'), t('page_dismiss')],
+    sleep: [t('page_sleepTitle'), t('page_sleepText'), t('page_sleepButton')]
   };
 
-  // ended event (most reliable)
-  endedHandler = () => {
+  // Full-page interstitial (kept minimal; one at a time)
+  function showWellbeingOverlay(reason, onDismiss) {
+    hideWellbeingOverlay();
+    const [title, text, button] = WELLBEING_COPY[reason] || WELLBEING_COPY.break;
+    const overlay = document.createElement('div');
+    overlay.id = 'nextflow-wellbeing';
+    overlay.setAttribute('role', 'alertdialog');
+    overlay.setAttribute('aria-label', title);
+    overlay.lang = NextFlowI18n.lang();
+    overlay.dir = NextFlowI18n.dir();
+    overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;display:flex;align-items:center;justify-content:center;background:rgba(3,7,18,0.72);font-family:Roboto,Arial,sans-serif';
+    const card = document.createElement('div');
+    card.style.cssText = 'max-width:320px;padding:20px;border-radius:14px;background:#fff;color:#0b1220;text-align:center;box-shadow:0 10px 30px rgba(0,0,0,0.3)';
+    const h = document.createElement('h2');
+    h.textContent = title;
+    h.style.cssText = 'margin:0 0 8px;font-size:18px';
+    const p = document.createElement('p');
+    p.textContent = text;
+    p.style.cssText = 'margin:0 0 16px;font-size:14px;line-height:1.4';
+    const btn = document.createElement('button');
+    btn.textContent = button;
+    btn.style.cssText = 'border:0;border-radius:10px;padding:8px 16px;background:#0066ff;color:#fff;font-size:14px;cursor:pointer';
+    btn.addEventListener('click', () => {
+      hideWellbeingOverlay();
+      if (onDismiss) onDismiss();
+    });
+    card.append(h, p, btn);
+    overlay.appendChild(card);
+    (document.body || document.documentElement).appendChild(overlay);
+    wellbeingOverlay = overlay;
+    btn.focus();
+  }
+
+  function hideWellbeingOverlay() {
+    if (wellbeingOverlay) {
+      wellbeingOverlay.remove();
+      wellbeingOverlay = null;
+    }
+  }
+
+  function holdForWellbeing(reason) {
+    if (delayedActionTimer) {
+      clearTimeout(delayedActionTimer);
+      delayedActionTimer = null;
+    }
     try {
-      if (isAdPlaying()) {
-        log('Ended but ad playing -> ignoring');
-        return;
-      }
-      if (SETTINGS.autoScroll && networkAllows()) {
-        log('Ended event -> scheduling next');
-        scheduleNextActionWithDelay();
+      if (currentVideo && !currentVideo.paused) {
+        selfPauseAt = now();
+        currentVideo.pause();
       }
     } catch (e) {}
-  };
+    wellbeingHold = reason;
+    renderHud();
+    record('wellbeing-hold', { reason });
+    log('Wellbeing hold:', reason);
+  }
+
+  // Apply a status snapshot from background (see getWellbeingStatus in background.js)
+  function applyWellbeingStatus(status) {
+    if (!status) return;
+    if (status.limit) {
+      if (wellbeingHold === status.limit) return;
+      holdForWellbeing(status.limit);
+      showWellbeingOverlay(status.limit);
+    } else if (status.breakDue) {
+      if (wellbeingHold === 'break') return;
+      holdForWellbeing('break');
+      showWellbeingOverlay('break', () => {
+        wellbeingHold = null;
+        chrome.runtime.sendMessage({ action: 'breakTaken' }, () => {});
+        try {
+          if (currentVideo) currentVideo.play();
+        } catch (e) {}
+      });
+    } else if (wellbeingHold && wellbeingHold !== 'break' && wellbeingHold !== 'sleep') {
+      // Limit lifted (new session/day or limits raised)
+      wellbeingHold = null;
+      hideWellbeingOverlay();
+      log('Wellbeing hold lifted');
+    }
+  }
 
-  video.addEventListener('timeupdate', timeupdateHandler, { passive: true });
-  video.addEventListener('ended', endedHandler, { passive: true });
+  // Tell background a new Short is on screen; it replies with the current limits status
+  function reportShortStarted(shortId) {
+    try {
+      chrome.runtime.sendMessage({ action: 'shortStarted', shortId }, (resp) => {
+        if (resp && resp.status) applyWellbeingStatus(resp.status);
+      });
+    } catch (e) {}
+  }
 
-  log('Attached video listeners to', video);
-}
+  /* ============================
+     User intent: manual scroll / swipe
+     ============================ */
 
-function detachVideoListeners() {
-  try {
-    if (currentVideo) {
-      if (timeupdateHandler) currentVideo.removeEventListener('timeupdate', timeupdateHandler);
-      if (endedHandler) currentVideo.removeEventListener('ended', endedHandler);
-    }
-  } catch (e) {}
-  currentVideo = null;
-  timeupdateHandler = null;
-  endedHandler = null;
-}
+  // The user moved the feed themselves (wheel, swipe, arrow/page keys): drop any pending advance.
+  // Plain `scroll` events are not used: YouTube and our own strategies scroll the feed too.
+  function onUserScroll(e) {
+    if (!e.isTrusted || !getCurrentShortId()) return;
+    if (e.type === 'keydown' && (!SCROLL_KEYS.includes(e.key) || isEditableTarget(e.target))) return;
+    if (!delayedActionTimer) return;
+    cancelPendingAdvance();
+    record('user-intent', { type: e.type === 'keydown' ? 'key-scroll' : e.type });
+    log('Manual scroll -> pending advance cancelled');
+  }
 
-/* ============================
-   Scheduling with delay & ad guards
-   ============================ */
-let delayedActionTimer = null;
-function scheduleNextActionWithDelay() {
-  // clear existing
-  if (delayedActionTimer) {
-    clearTimeout(delayedActionTimer);
-    delayedActionTimer = null;
+  /* ============================
+     Presence: hidden tab, unfocused window, idle user
+     ============================ */
+
+  function presenceHoldReason() {
+    if (SETTINGS.holdWhenHidden && document.visibilityState === 'hidden') return 'hidden';
+    if (SETTINGS.holdWhenUnfocused && !document.hasFocus()) return 'unfocused';
+    if (TAB_CONTEXT.userIdle) return 'idle';
+    return null;
+  }
+
+  // Re-check presence (visibility/focus events, settings or idle state changed)
+  function updatePresenceHold() {
+    const reason = presenceHoldReason();
+    if (reason === presenceHold) return;
+    const wasHeld = !!presenceHold;
+    presenceHold = reason;
+    record('presence', { hold: reason });
+    log('Presence hold:', reason);
+    if (reason) cancelPendingAdvance();
+    else if (wasHeld) resumeAfterHold();
+    renderHud();
   }
 
-  const delay = clamp(Number(SETTINGS.delayMs) || 0, 0, 15000);
+  // Back from a presence or network hold: the advance policy re-arms on the next timeupdate, but a Short
+  // that ended meanwhile won't fire `ended` again, so schedule that one here
+  function resumeAfterHold() {
+    if (!currentVideo || !currentVideo.ended) return;
+    if (canAutoAdvance() && !shortIsHeld() && !adHoldsAdvance()) scheduleNextActionWithDelay();
+  }
+
+  /* ============================
+     In-page HUD (shadow root)
+     ============================ */
+
+  const HUD_RING_LENGTH = 56.55; // circumference of the r=9 ring
+
+  const HUD_STYLE = `
+    :host { all: initial; position: fixed; z-index: 2147483645; }
+    .hud { display: flex; align-items: center; gap: 4px; padding: 4px 6px; border-radius: 999px;
+      background: rgba(3, 7, 18, 0.72); color: #fff; font: 12px/16px Roboto, Arial, sans-serif; }
+    .ring { width: 20px; height: 20px; transform: rotate(-90deg); }
+    .ring circle { fill: none; stroke-width: 3; }
+    .ring .track { stroke: rgba(255, 255, 255, 0.25); }
+    .ring .progress { stroke: #00c3ff; stroke-dasharray: ${HUD_RING_LENGTH}; stroke-dashoffset: 0; }
+    .hud:not(.counting) .ring, .hud:not(.counting) .cancel { display: none; }
+    .label { padding: 0 4px; white-space: nowrap; }
+    .delay { min-width: 30px; text-align: center; opacity: 0.8; }
+    button { all: unset; cursor: pointer; padding: 2px 6px; border-radius: 6px; }
+    button:hover { background: rgba(255, 255, 255, 0.18); }
+    button:focus-visible { outline: 2px solid #00c3ff; }
+    .toggle[aria-pressed="false"] { opacity: 0.6; }
+    @media (prefers-reduced-motion: reduce) { .ring .progress { transition: none !important; } }
+  `;
 
-  delayedActionTimer = setTimeout(() => {
+  // HUD button -> what it does (delay steps match the in-page hotkeys)
+  const HUD_BUTTONS = [
+    ['cancel', '✕', t('page_hudCancel'), () => {
+      cancelPendingAdvance();
+      // stay on this Short; otherwise the advance policy would schedule again right away
+      if (shortState) shortState.manualHold = true;
+      renderHud();
+    }],
+    ['next', '⏭', t('common_nextShortNow'), () => nextNow()],
+    ['save', '☆', t('page_hudSave'), () => saveCurrentToQueue()],
+    ['toggle', t('page_hudAuto'), t('common_toggleAutoScroll'), () => sendHudMessage(HOTKEY_MESSAGES.toggleAutoScroll)],
+    ['delay-down', '−', t('common_delayDown'), () => sendHudMessage(HOTKEY_MESSAGES.delayDown)],
+    ['delay-up', '+', t('common_delayUp'), () => sendHudMessage(HOTKEY_MESSAGES.delayUp)]
+  ];
+
+  function sendHudMessage(msg) {
     try {
-      // If ad playing and pauseOnUnskippableAds = true, do nothing
-      if (isAdPlaying()) {
-        log('Scheduled action aborted - ad playing');
-        return;
+      chrome.runtime.sendMessage(msg, () => {});
+    } catch (e) {}
+  }
+
+  function buildHud() {
+    const host = document.createElement('div');
+    host.id = 'nextflow-hud';
+    const root = host.attachShadow({ mode: 'closed' });
+    const style = document.createElement('style');
+    style.textContent = HUD_STYLE;
+    const box = document.createElement('div');
+    box.className = 'hud';
+    box.setAttribute('role', 'toolbar');
+    box.setAttribute('aria-label', 'NextFlow');
+    box.lang = NextFlowI18n.lang();
+    box.dir = NextFlowI18n.dir();
+
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const ring = document.createElementNS(svgNs, 'svg');
+    ring.setAttribute('class', 'ring');
+    ring.setAttribute('viewBox', '0 0 22 22');
+    ring.setAttribute('aria-hidden', 'true');
+    const circles = ['track', 'progress'].map((cls) => {
+      const c = document.createElementNS(svgNs, 'circle');
+      c.setAttribute('class', cls);
+      c.setAttribute('cx', '11');
+      c.setAttribute('cy', '11');
+      c.setAttribute('r', '9');
+      ring.appendChild(c);
+      return c;
+    });
+
+    const label = document.createElement('span');
+    label.className = 'label';
+    const delay = document.createElement('span');
+    delay.className = 'delay';
+    box.append(ring, label);
+    const buttons = {};
+    for (const [cls, text, title, run] of HUD_BUTTONS) {
+      const btn = document.createElement('button');
+      btn.className = cls;
+      btn.textContent = text;
+      btn.title = title;
+      btn.setAttribute('aria-label', title);
+      btn.addEventListener('click', run);
+      buttons[cls] = btn;
+      if (cls === 'delay-up') box.appendChild(delay);
+      box.appendChild(btn);
+    }
+    buttons.toggle.setAttribute('aria-pressed', 'false');
+    root.append(style, box);
+
+    // Keep clicks inside the HUD away from the player (which would pause/play the Short)
+    for (const type of ['click', 'dblclick', 'pointerdown', 'pointerup', 'mousedown', 'mouseup', 'touchstart', 'touchend']) {
+      host.addEventListener(type, (e) => e.stopPropagation());
+    }
+    return { host, box, progress: circles[1], label, delay, toggle: buttons.toggle };
+  }
+
+  // Show the countdown ring for a pending advance (`delayedActionTimer`);
+  // `label` is a message key taking the seconds left
+  function hudStartCountdown(duration, label) {
+    hudCountdown = { startedAt: now(), duration, label };
+    if (!hudTicker) hudTicker = setInterval(renderHud, HUD_TICK_MS);
+    renderHud();
+    if (!hud) return;
+    // restart the ring animation: full ring, then drain over `duration`
+    const { progress } = hud;
+    progress.style.transition = 'none';
+    progress.style.strokeDashoffset = '0';
+    progress.getBoundingClientRect();
+    progress.style.transition = `stroke-dashoffset ${duration}ms linear`;
+    progress.style.strokeDashoffset = String(HUD_RING_LENGTH);
+  }
+
+  function hudCountdownActive() {
+    return !!(hudCountdown && delayedActionTimer);
+  }
+
+  // One line saying what NextFlow is doing (or why it isn't)
+  function hudStatusText() {
+    if (hudCountdownActive()) {
+      const left = Math.max(0, hudCountdown.duration - (now() - hudCountdown.startedAt));
+      return t(hudCountdown.label, (left / 1000).toFixed(1));
+    }
+    if (lastAdState) return t('page_statusAd');
+    if (wellbeingHold) return wellbeingHold === 'break' ? t('page_statusBreak') : t('page_statusLimit');
+    if (TAB_CONTEXT.scheduleHold) return t('page_statusSchedule');
+    if (TAB_CONTEXT.tabPaused) return t('page_statusTabPaused');
+    if (!SETTINGS.autoScroll) return t('page_statusOff');
+    if (!networkAllows()) return t('page_statusNetwork', networkState.reason);
+    if (presenceHold === 'idle') return t('page_statusIdle');
+    if (presenceHold === 'unfocused') return t('page_statusUnfocused');
+    if (shortState && shortState.userPaused) return t('page_statusPaused');
+    if (shortIsHeld()) return t('page_statusHeld');
+    return t('page_statusOn');
+  }
+
+  // Pin the HUD to a corner of the current video (fixed, so YouTube's layout is untouched)
+  function positionHud(rect) {
+    const [v, h] = String(SETTINGS.hudPosition).split('-');
+    const style = hud.host.style;
+    style.top = v === 'top' ? `${Math.round(rect.top + HUD_MARGIN_PX)}px` : '';
+    style.bottom = v === 'bottom' ? `${Math.round(window.innerHeight - rect.bottom + HUD_MARGIN_PX)}px` : '';
+    style.left = h === 'left' ? `${Math.round(rect.left + HUD_MARGIN_PX)}px` : '';
+    style.right = h === 'right' ? `${Math.round(window.innerWidth - rect.right + HUD_MARGIN_PX)}px` : '';
+  }
+
+  function renderHud() {
+    const counting = hudCountdownActive();
+    if (!counting) {
+      hudCountdown = null;
+      if (hudTicker) {
+        clearInterval(hudTicker);
+        hudTicker = null;
       }
-      // Execute next
+    }
+    const rect = currentVideo ? currentVideo.getBoundingClientRect() : null;
+    if (!SETTINGS.hudEnabled || !getCurrentShortId() || !rect || rect.width === 0) {
+      removeHud();
+      return;
+    }
+    if (!hud) hud = buildHud();
+    if (!hud.host.isConnected) (document.body || document.documentElement).appendChild(hud.host);
+    positionHud(rect);
+    hud.box.classList.toggle('counting', counting);
+    const text = hudStatusText();
+    if (hud.label.textContent !== text) hud.label.textContent = text;
+    hud.delay.textContent = t('page_hudDelay', (SETTINGS.delayMs / 1000).toFixed(2).replace(/0$/, ''));
+    hud.toggle.setAttribute('aria-pressed', String(!!SETTINGS.autoScroll));
+  }
+
+  function removeHud() {
+    if (hud && hud.host.isConnected) hud.host.remove();
+  }
+
+  /* ============================
+     Usage statistics
+     ============================ */
+
+  function sendStatsEvent(payload) {
+    try {
+      chrome.runtime.sendMessage({ action: 'statsEvent', payload }, () => {});
+    } catch (e) {}
+  }
+
+  // Called on every timeupdate: attribute the elapsed time to watching or waiting on an ad
+  function tickStatsTime(adPlaying) {
+    const ts = now();
+    const delta = statsLastTick ? ts - statsLastTick : 0;
+    statsLastTick = ts;
+    if (delta <= 0 || delta > STATS_MAX_TICK_MS) return;
+    if (adPlaying) statsAdWaitMs += delta;
+    else statsWatchMs += delta;
+    if (statsWatchMs + statsAdWaitMs >= STATS_FLUSH_MS) flushStatsTime();
+  }
+
+  function flushStatsTime() {
+    if (statsWatchMs <= 0 && statsAdWaitMs <= 0) return;
+    sendStatsEvent({ type: 'time', watchMs: Math.round(statsWatchMs), adWaitMs: Math.round(statsAdWaitMs) });
+    statsWatchMs = 0;
+    statsAdWaitMs = 0;
+  }
+
+  /* ============================
+     Watch history (opt-in)
+     ============================ */
+
+  // Report a Short that just left the screen; background stores it in IndexedDB
+  function reportFinishedShort(state) {
+    if (!SETTINGS.historyEnabled || !state || !state.id) return;
+    const meta = state.meta || {};
+    const duration = meta.duration || 0;
+    // A Short that looped was fully watched
+    const pct = state.loops > 0 ? 100 : duration > 0 ? (state.maxTime / duration) * 100 : 0;
+    const entry = {
+      shortId: state.id,
+      channel: meta.channelHandle || meta.channelName || '',
+      title: meta.title || '',
+      duration,
+      percentWatched: Math.round(clamp(pct, 0, 100)),
+      endedBy: state.endedBy || 'user-scrolled',
+      site: ADAPTER ? ADAPTER.id : '',
+      at: state.startedAt
+    };
+    try {
+      chrome.runtime.sendMessage({ action: 'historyRecord', entry }, () => {});
+    } catch (e) {}
+  }
+
+  /* ============================
+     Accessibility
+     ============================ */
+
+  // Instant scrolling for reduced motion (system setting) or accessibility mode, else smooth
+  function scrollBehavior() {
+    const reduce = typeof matchMedia === 'function' && matchMedia('(prefers-reduced-motion: reduce)').matches;
+    return reduce || SETTINGS.accessibilityMode ? 'auto' : 'smooth';
+  }
+
+  // Visually hidden live region on the page, created on first use
+  function ensureLiveRegion() {
+    if (liveRegion && liveRegion.isConnected) return liveRegion;
+    liveRegion = document.createElement('div');
+    liveRegion.id = 'nextflow-live';
+    liveRegion.setAttribute('role', 'status');
+    liveRegion.setAttribute('aria-live', 'polite');
+    liveRegion.setAttribute('aria-atomic', 'true');
+    liveRegion.lang = NextFlowI18n.lang();
+    liveRegion.dir = NextFlowI18n.dir();
+    liveRegion.style.cssText = 'position:fixed;width:1px;height:1px;margin:-1px;padding:0;border:0;overflow:hidden;clip-path:inset(50%);white-space:nowrap';
+    (document.body || document.documentElement).appendChild(liveRegion);
+    return liveRegion;
+  }
+
+  function announce(text) {
+    const region = ensureLiveRegion();
+    // Empty it first so screen readers also read a repeat of the previous text
+    region.textContent = '';
+    setTimeout(() => { region.textContent = text; }, 50);
+  }
+
+  // "Next Short: <title> by <channel>", with whichever parts the adapter could read
+  function announceShort(shortId) {
+    clearTimeout(announceTimer);
+    announceTimer = null;
+    if (!SETTINGS.accessibilityMode) return;
+    announceTimer = setTimeout(() => {
+      announceTimer = null;
+      if (!running || !shortState || shortState.id !== shortId) return;
+      const meta = readShortMetadata(currentVideo);
+      const title = (meta.title || '').trim();
+      const channel = meta.channelName || meta.channelHandle;
+      if (title && channel) announce(t('page_announceTitleChannel', [title, channel]));
+      else if (title || channel) announce(t(title ? 'page_announceTitle' : 'page_announceChannel', title || channel));
+      else announce(t('page_announceShort'));
+      record('announce', { shortId });
+    }, ANNOUNCE_DELAY_MS);
+  }
+
+  function removeLiveRegion() {
+    clearTimeout(announceTimer);
+    announceTimer = null;
+    if (liveRegion) {
+      liveRegion.remove();
+      liveRegion = null;
+    }
+  }
+
+  /* ============================
+     Already-seen Shorts
+     ============================ */
+
+  // Remember the current Short once it has played past the threshold (or looped)
+  function markSeenIfWatched(cur, dur) {
+    if (!SETTINGS.skipSeen || !shortState || !shortState.id || shortState.seenMarked) return;
+    if (shortState.loops === 0 && (cur / dur) * 100 < SETTINGS.seenPercent) return;
+    shortState.seenMarked = true;
+    try {
+      chrome.runtime.sendMessage({ action: 'seenMark', shortId: shortState.id }, () => {});
+    } catch (e) {}
+  }
+
+  // Ask background whether a Short that just came on screen was seen before
+  function checkSeenShort(shortId) {
+    if (!SETTINGS.skipSeen) return;
+    try {
+      chrome.runtime.sendMessage({ action: 'seenCheck', shortId }, (resp) => {
+        if (resp && resp.seen) skipSeenShort(shortId);
+      });
+    } catch (e) {}
+  }
+
+  // Advance past a known Short after SEEN_GRACE_MS, unless it is held or the user moved on
+  function skipSeenShort(shortId) {
+    if (!shortState || shortState.id !== shortId) return;
+    if (!canAutoAdvance() || shortIsHeld()) return;
+    record('seen-skip', { shortId });
+    log('Already seen, skipping soon:', shortId);
+    showPageNote(t('page_seenSkipping'), SEEN_GRACE_MS);
+    if (delayedActionTimer) clearTimeout(delayedActionTimer);
+    hudStartCountdown(SEEN_GRACE_MS, 'page_hudSeenNextIn');
+    delayedActionTimer = setTimeout(() => {
+      delayedActionTimer = null;
+      renderHud();
+      if (!shortState || shortState.id !== shortId) return;
+      if (!canAutoAdvance() || shortIsHeld() || adHoldsAdvance()) return;
+      shortState.endedBy = 'seen-skipped';
       const ok = goToNextShort();
-      log('goToNextShort executed:', ok);
-    } catch (e) {
-      log('Error in scheduled action', e);
+      log('Seen skip executed:', shortId, ok);
+    }, SEEN_GRACE_MS);
+  }
+
+  // Small transient note at the top of the page (one at a time)
+  function showPageNote(text, durationMs) {
+    hidePageNote();
+    const note = document.createElement('div');
+    note.id = 'nextflow-note';
+    note.setAttribute('role', 'status');
+    note.lang = NextFlowI18n.lang();
+    note.dir = NextFlowI18n.dir();
+    note.textContent = text;
+    note.style.cssText = 'position:fixed;top:72px;left:50%;transform:translateX(-50%);z-index:2147483646;padding:6px 12px;border-radius:999px;background:rgba(3,7,18,0.8);color:#fff;font:13px Roboto,Arial,sans-serif;pointer-events:none';
+    (document.body || document.documentElement).appendChild(note);
+    pageNote = note;
+    pageNoteTimer = setTimeout(hidePageNote, durationMs);
+  }
+
+  function hidePageNote() {
+    if (pageNoteTimer) {
+      clearTimeout(pageNoteTimer);
+      pageNoteTimer = null;
+    }
+    if (pageNote) {
+      pageNote.remove();
+      pageNote = null;
     }
-  }, delay);
-}
+  }
 
-/* ============================
-   Init & MutationObserver
-   ============================ */
-
-function scanAndAttach() {
-  // find visible video and attach
-  const v = findVisibleVideo();
-  if (v && v !== currentVideo) {
-    attachVideoListeners(v);
-  } else if (!v) {
-    // no video found, detach
-    detachVideoListeners();
+  /* ============================
+     Manual controls & in-page hotkeys
+     ============================ */
+
+  // Queue entry for the Short on screen (also answers the popup's "Save Short")
+  function currentQueueEntry() {
+    const shortId = getCurrentShortId();
+    if (!shortId) return null;
+    const meta = (shortState && shortState.meta) || readShortMetadata(currentVideo);
+    return { site: SITE.id, shortId, title: meta.title || '', channel: meta.channelHandle || meta.channelName || '' };
   }
-}
 
-// Observe for DOM changes that may insert/remove the video element
-function startMutationObserver() {
-  if (mutationObserver) return;
-  mutationObserver = new MutationObserver((mutations) => {
-    // On any significant change, re-scan for video
-    scanAndAttach();
-  });
-  mutationObserver.observe(document.documentElement || document.body, {
-    childList: true,
-    subtree: true,
-    attributes: false
-  });
-  log('MutationObserver started');
-}
+  // Channel behind a right-clicked Short link (background's "Block this channel" menu entry):
+  // the Short on screen when it is the same one, else the nearest "@handle" link around the anchor
+  function channelForLink(url) {
+    const parsed = NextFlowSites.parseShortUrl(url || '');
+    if (parsed && running && parsed.shortId === getCurrentShortId()) {
+      const meta = (shortState && shortState.meta) || readShortMetadata(currentVideo);
+      if (meta.channelHandle || meta.channelName) return meta.channelHandle || meta.channelName;
+    }
+    let el = contextMenuTarget && contextMenuTarget.closest ? contextMenuTarget.closest('a') : null;
+    for (let i = 0; el && i < 8; i++, el = el.parentElement) {
+      const link = el.matches('a[href*="/@"]') ? el : el.querySelector('a[href*="/@"]');
+      const m = link && (link.getAttribute('href') || '').match(/\/(@[^/?#]+)/);
+      if (m) return NextFlowSites.decodeHandle(m[1]);
+    }
+    return '';
+  }
 
-function stopMutationObserver() {
-  try {
-    if (mutationObserver) {
-      mutationObserver.disconnect();
-      mutationObserver = null;
+  function saveCurrentToQueue() {
+    const entry = currentQueueEntry();
+    if (!entry) return;
+    chrome.runtime.sendMessage({ action: 'queueAdd', entry }, (resp) => {
+      if (!resp || !resp.ok) showPageNote(t('page_queueSaveFailed'), 2000);
+      else showPageNote(resp.added ? t('page_queueSaved') : t('page_queueAlready'), 2000);
+    });
+  }
+
+  function cancelPendingAdvance() {
+    if (delayedActionTimer) {
+      clearTimeout(delayedActionTimer);
+      delayedActionTimer = null;
     }
-  } catch (e) {}
-}
+    // let the advance policy schedule again once the hold is lifted
+    if (shortState) shortState.advanceScheduled = false;
+    renderHud();
+  }
 
-async function init() {
-  if (initialized) return;
-  initialized = true;
+  // "Next Short now": skip the delay and navigate immediately
+  function nextNow() {
+    cancelPendingAdvance();
+    const ok = goToNextShort('manual');
+    log('Next now:', ok);
+  }
 
-  log('init called');
+  // Toggle "pause auto-advance for this Short"; cleared when the next Short starts
+  function toggleHoldCurrent() {
+    if (!shortState) return;
+    shortState.manualHold = !shortState.manualHold;
+    if (shortState.manualHold) cancelPendingAdvance();
+    renderHud();
+    log('Hold current Short:', shortState.manualHold);
+  }
 
-  // Get settings from background
-  try {
-    chrome.runtime.sendMessage({ action: 'getSettings' }, (resp) => {
-      if (resp && resp.settings) {
-        SETTINGS = Object.assign({}, SETTINGS, resp.settings);
-        log('Initial settings loaded', SETTINGS);
+  function isEditableTarget(el) {
+    if (!el) return false;
+    const tag = (el.tagName || '').toLowerCase();
+    return tag === 'input' || tag === 'textarea' || tag === 'select' || el.isContentEditable;
+  }
+
+  // Hotkey actions go through background's handleAction, same as chrome.commands
+  const HOTKEY_MESSAGES = {
+    toggleAutoScroll: { action: 'toggleAutoScroll' },
+    nextShortNow: { action: 'nextShortNow' },
+    holdCurrentShort: { action: 'holdCurrentShort' },
+    delayUp: { action: 'adjustDelay', step: NextFlowSettings.DELAY_STEP_MS },
+    delayDown: { action: 'adjustDelay', step: -NextFlowSettings.DELAY_STEP_MS }
+  };
+
+  function onHotkey(e) {
+    if (!SETTINGS.inPageHotkeys || !SETTINGS.hotkeys) return;
+    if (e.repeat || isEditableTarget(e.target)) return;
+    if (!getCurrentShortId()) return;
+    const combo = NextFlowSettings.comboFromEvent(e);
+    if (!combo) return;
+    const name = Object.keys(SETTINGS.hotkeys).find(k => SETTINGS.hotkeys[k] === combo);
+    if (!name || !HOTKEY_MESSAGES[name]) return;
+    // Keep the key from reaching YouTube's own handlers
+    e.preventDefault();
+    e.stopPropagation();
+    log('Hotkey', combo, '->', name);
+    try {
+      chrome.runtime.sendMessage(HOTKEY_MESSAGES[name], () => {});
+    } catch (err) {}
+  }
+
+  /* ============================
+     Init & video tracking
+     ============================ */
+
+  const ROUTE_POLL_MS = 1000;
+
+  function scanAndAttach() {
+    if (!running) return;
+    const startedAt = performance.now();
+    updateTrackedRoot();
+    // The Shorts player reuses one <video> across Shorts, so track the Short ID too
+    const shortId = getCurrentShortId();
+    if (!shortState || shortState.id !== shortId) {
+      // the first Short on a page isn't a transition; only later ones are announced
+      const moved = !!(shortState && shortState.id);
+      reportFinishedShort(shortState);
+      flushStatsTime();
+      resetShortState(shortId);
+      if (shortId) {
+        reportShortStarted(shortId);
+        checkSeenShort(shortId);
+        if (moved) announceShort(shortId);
       }
-      // initial scan & attach
+    }
+
+    // find visible video and attach
+    const v = siteEnabled() ? findCurrentVideo() : null;
+    if (v && v !== currentVideo) {
+      attachVideoListeners(v);
+    } else if (!v) {
+      // no video found, detach
+      detachVideoListeners();
+    }
+    renderHud();
+
+    const took = performance.now() - startedAt;
+    perf.scans++;
+    perf.scanMs += took;
+    perf.maxScanMs = Math.max(perf.maxScanMs, took);
+  }
+
+  // Coalesce observer callbacks into one scan per SCAN_BATCH_MS
+  function requestScan() {
+    if (!running || scanQueued) return;
+    scanQueued = true;
+    setTimeout(() => {
+      scanQueued = false;
       scanAndAttach();
+    }, SCAN_BATCH_MS);
+  }
+
+  function reelSelector() {
+    return (ADAPTER && ADAPTER.reelSelector) || 'video';
+  }
+
+  function feedRootElement() {
+    let root = null;
+    try {
+      root = ADAPTER && typeof ADAPTER.feedRoot === 'function' ? ADAPTER.feedRoot() : null;
+    } catch (e) {}
+    return root || document.body || document.documentElement;
+  }
+
+  // Start watching reel containers under `node` (and `node` itself)
+  function observeReels(node) {
+    const sel = reelSelector();
+    const found = node.matches && node.matches(sel) ? [node] : [];
+    if (node.querySelectorAll) found.push(...node.querySelectorAll(sel));
+    for (const el of found) {
+      if (reelVisibility.has(el)) continue;
+      reelVisibility.set(el, 0);
+      intersectionObserver.observe(el);
+    }
+  }
+
+  // Video inside the reel container with the largest visible area, if any is on screen
+  function mostVisibleReelVideo() {
+    let best = null;
+    let bestArea = 0;
+    for (const [el, area] of reelVisibility) {
+      if (area > bestArea && el.isConnected) {
+        best = el;
+        bestArea = area;
+      }
+    }
+    if (!best) return null;
+    return best.tagName === 'VIDEO' ? best : best.querySelector('video');
+  }
+
+  function onReelIntersection(entries) {
+    perf.intersections++;
+    for (const entry of entries) {
+      const r = entry.intersectionRect;
+      reelVisibility.set(entry.target, entry.isIntersecting ? r.width * r.height : 0);
+    }
+    requestScan();
+  }
+
+  // Only additions/removals of reels or videos matter; everything else YouTube renders is ignored
+  function onFeedMutations(mutations) {
+    perf.mutationBatches++;
+    const sel = `${reelSelector()}, video`;
+    let relevant = false;
+    for (const m of mutations) {
+      for (const node of m.addedNodes) {
+        if (node.nodeType !== 1 || !(node.matches(sel) || node.querySelector(sel))) continue;
+        observeReels(node);
+        relevant = true;
+      }
+      for (const node of m.removedNodes) {
+        if (node.nodeType === 1 && (reelVisibility.has(node) || node.contains(currentVideo))) relevant = true;
+      }
+    }
+    if (relevant) requestScan();
+    else perf.ignoredMutations++;
+  }
+
+  // Feed roots render late on single-page apps; re-scope the observers once the real one exists
+  function updateTrackedRoot() {
+    for (const el of reelVisibility.keys()) {
+      if (el.isConnected) continue;
+      intersectionObserver.unobserve(el);
+      reelVisibility.delete(el);
+    }
+    const root = feedRootElement();
+    if (root === trackedRoot) return;
+    trackedRoot = root;
+    mutationObserver.disconnect();
+    mutationObserver.observe(root, { childList: true, subtree: true });
+    observeReels(root);
+    log('Tracking feed under', root.tagName ? root.tagName.toLowerCase() : root);
+  }
+
+  function startVideoTracking() {
+    perf = { startedAt: now(), scans: 0, scanMs: 0, maxScanMs: 0, mutationBatches: 0, ignoredMutations: 0, intersections: 0 };
+    intersectionObserver = new IntersectionObserver(onReelIntersection, { threshold: [0, 0.25, 0.5, 0.75, 1] });
+    mutationObserver = new MutationObserver(onFeedMutations);
+    trackedRoot = null;
+    log('Video tracking started');
+  }
+
+  function stopVideoTracking() {
+    try {
+      if (mutationObserver) mutationObserver.disconnect();
+      if (intersectionObserver) intersectionObserver.disconnect();
+    } catch (e) {}
+    mutationObserver = null;
+    intersectionObserver = null;
+    trackedRoot = null;
+    reelVisibility.clear();
+  }
+
+  // Tracking cost since the controller started, for the diagnostics report
+  function perfSnapshot() {
+    if (!perf) return null;
+    const minutes = Math.max((now() - perf.startedAt) / 60000, 1 / 60);
+    const round = (n) => Math.round(n * 100) / 100;
+    return {
+      runningForS: Math.round((now() - perf.startedAt) / 1000),
+      scans: perf.scans,
+      scansPerMinute: round(perf.scans / minutes),
+      avgScanMs: perf.scans ? round(perf.scanMs / perf.scans) : 0,
+      maxScanMs: round(perf.maxScanMs),
+      mutationBatches: perf.mutationBatches,
+      mutationBatchesPerMinute: round(perf.mutationBatches / minutes),
+      ignoredMutationBatches: perf.ignoredMutations,
+      intersectionCallbacks: perf.intersections,
+      observedReels: reelVisibility.size,
+      feedRoot: trackedRoot && trackedRoot.tagName ? trackedRoot.tagName.toLowerCase() : null
+    };
+  }
+
+  // Page-level listeners that only run while the controller does: [target, type, handler, options]
+  const PAGE_LISTENERS = [
+    // In-page hotkeys (capture phase so we see keys before YouTube's player)
+    [window, 'keydown', onHotkey, true],
+    // HUD follows the video when the window is resized
+    [window, 'resize', renderHud, { passive: true }],
+    // User intent: manual scrolling cancels a pending advance
+    [document, 'wheel', onUserScroll, { capture: true, passive: true }],
+    [document, 'touchmove', onUserScroll, { capture: true, passive: true }],
+    [document, 'keydown', onUserScroll, { capture: true, passive: true }],
+    // Presence: hold while hidden/unfocused, resume when the user is back
+    [document, 'visibilitychange', updatePresenceHold],
+    [window, 'focus', updatePresenceHold],
+    [window, 'blur', updatePresenceHold],
+    // Network policy: hold on a worse connection, resume on a better one
+    ...(NextFlowNetwork.connection() ? [[NextFlowNetwork.connection(), 'change', updateNetworkState]] : [])
+  ];
+
+  // Entering a feed page: track reels and listen for the user
+  function startController() {
+    if (running) return;
+    running = true;
+    for (const [target, type, handler, options] of PAGE_LISTENERS) target.addEventListener(type, handler, options);
+    startVideoTracking();
+    record('controller-start');
+    log('Controller started');
+    updatePresenceHold();
+    updateNetworkState();
+    chrome.runtime.sendMessage({ action: 'getWellbeing' }, (resp) => {
+      if (resp && resp.status) applyWellbeingStatus(resp.status);
     });
-  } catch (e) {
-    log('Could not fetch settings, using defaults');
     scanAndAttach();
   }
 
-  // Listen for runtime messages (settings updates etc.)
-  chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  // Leaving the feed (or unloading): finish the current Short and drop everything on the page
+  function stopController() {
+    if (!running) return;
+    running = false;
+    for (const [target, type, handler, options] of PAGE_LISTENERS) target.removeEventListener(type, handler, options);
+    stopVideoTracking();
+    cancelNavigation();
+    reportFinishedShort(shortState);
+    flushStatsTime();
+    shortState = null;
+    detachVideoListeners();
+    cancelPendingAdvance();
+    // limits and breaks are re-read from background on return; the sleep hold follows settings
+    if (wellbeingHold !== 'sleep') wellbeingHold = null;
+    hideWellbeingOverlay();
+    hidePageNote();
+    removeHud();
+    removeLiveRegion();
+    record('controller-stop');
+    log('Controller stopped');
+  }
+
+  // Run only on the site's short-form feed/player pages
+  function onRouteChange() {
+    if (!NextFlowSites.feedSiteForUrl(location.href)) stopController();
+    else if (running) requestScan(); // next Short in the same feed
+    else startController();
+  }
+
+  // Single-page apps change the URL without reloading. Use the site's navigation event where it
+  // has one (YouTube's yt-navigate-finish), otherwise compare the URL every ROUTE_POLL_MS.
+  let routePollTimer = null;
+  function watchRoute() {
+    if (routePollTimer) return;
+    window.addEventListener('popstate', onRouteChange);
+    if (SITE && SITE.navEvent) {
+      document.addEventListener(SITE.navEvent, onRouteChange);
+      return;
+    }
+    let lastHref = location.href;
+    routePollTimer = setInterval(() => {
+      if (location.href === lastHref) return;
+      lastHref = location.href;
+      onRouteChange();
+    }, ROUTE_POLL_MS);
+  }
+
+  // Undo watchRoute(); stopController() alone keeps it, so a return to the feed restarts us
+  function unwatchRoute() {
+    window.removeEventListener('popstate', onRouteChange);
+    if (SITE && SITE.navEvent) document.removeEventListener(SITE.navEvent, onRouteChange);
+    clearInterval(routePollTimer);
+    routePollTimer = null;
+  }
+
+  async function init() {
+    if (initialized) return;
+    initialized = true;
+
+    log('init called');
+
+    // Get settings from background
     try {
-      if (!msg || !msg.action) return;
-      if (msg.action === 'settingsUpdated' && msg.payload) {
-        SETTINGS = Object.assign({}, SETTINGS, msg.payload);
-        log('Settings updated in content script', SETTINGS);
-        // If settings changed and autoScroll turned off, clear timers
-        if (!SETTINGS.autoScroll) {
-          if (delayedActionTimer) {
-            clearTimeout(delayedActionTimer);
-            delayedActionTimer = null;
-          }
+      chrome.runtime.sendMessage({ action: 'getSettings' }, (resp) => {
+        if (resp && resp.settings) {
+          SETTINGS = NextFlowSettings.normalize(resp.settings);
+          if (resp.context) TAB_CONTEXT = Object.assign({}, TAB_CONTEXT, resp.context);
+          log('Initial settings loaded', SETTINGS);
+          updatePresenceHold();
+          updateNetworkState();
         }
-        // Possibly re-scan
+        // initial scan & attach (no-op off the feed)
         scanAndAttach();
-      }
-    } catch (e) {}
-    // no need to call sendResponse
-  });
+      });
+    } catch (e) {
+      log('Could not fetch settings, using defaults');
+      scanAndAttach();
+    }
 
-  // Start observer & initial scan
-  startMutationObserver();
+    // Get the selector pack (imported or bundled) from background
+    try {
+      chrome.runtime.sendMessage({ action: 'getSelectorPack' }, (resp) => {
+        if (resp && resp.pack) {
+          SELECTOR_PACK = { active: resp.pack, bundled: resp.bundled || resp.pack };
+          log('Selector pack loaded', resp.pack.name, resp.pack.version);
+        }
+      });
+    } catch (e) {
+      log('Could not fetch selector pack');
+    }
 
-  // Periodic scan (in case MutationObserver misses something)
-  setInterval(() => {
-    scanAndAttach();
-  }, 2000);
-}
+    // Get the watch queue from background
+    try {
+      chrome.runtime.sendMessage({ action: 'getQueue' }, (resp) => {
+        if (resp && resp.queue) QUEUE = resp.queue;
+      });
+    } catch (e) {
+      log('Could not fetch queue');
+    }
 
-/* ============================
-   Clean up on unload / navigation
-   ============================ */
+    // Get content rules from background
+    try {
+      chrome.runtime.sendMessage({ action: 'getRules' }, (resp) => {
+        if (resp && Array.isArray(resp.rules)) {
+          RULES = resp.rules;
+          log('Content rules loaded', RULES.length);
+        }
+      });
+    } catch (e) {
+      log('Could not fetch content rules');
+    }
 
-window.addEventListener('beforeunload', () => {
-  detachVideoListeners();
-  stopMutationObserver();
-  if (delayedActionTimer) clearTimeout(delayedActionTimer);
-});
+    // Context menus open on pages without a running controller too (e.g. Shorts shelves)
+    document.addEventListener('contextmenu', (e) => { contextMenuTarget = e.target; }, true);
 
-/* ============================
-   Launch init (idempotent)
-   ============================ */
+    // Listen for runtime messages (settings updates etc.)
+    chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+      try {
+        if (!msg || !msg.action) return;
+        if (msg.action === 'ping') {
+          // background asks before injecting, so a tab never gets a second controller
+          sendResponse({ ok: true, running });
+        } else if (msg.action === 'settingsUpdated' && msg.payload) {
+          SETTINGS = NextFlowSettings.normalize(msg.payload);
+          if (msg.context) TAB_CONTEXT = Object.assign({}, TAB_CONTEXT, msg.context);
+          log('Settings updated in content script', SETTINGS);
+          // If settings changed and autoScroll turned off, clear timers
+          if (!SETTINGS.autoScroll) {
+            if (delayedActionTimer) {
+              clearTimeout(delayedActionTimer);
+              delayedActionTimer = null;
+            }
+          }
+          if (!SETTINGS.accessibilityMode) removeLiveRegion();
+          // Presence/network options or the idle state may have changed
+          updatePresenceHold();
+          updateNetworkState();
+          // Settings drive the sleep hold; limits may have changed too
+          if (SETTINGS.autoScroll && wellbeingHold === 'sleep') wellbeingHold = null;
+          chrome.runtime.sendMessage({ action: 'getWellbeing' }, (resp) => {
+            if (resp && resp.status) applyWellbeingStatus(resp.status);
+          });
+          // Possibly re-scan
+          scanAndAttach();
+        } else if (msg.action === 'wellbeingUpdated' && msg.payload) {
+          applyWellbeingStatus(msg.payload);
+        } else if (msg.action === 'sleepTimerFired') {
+          holdForWellbeing('sleep');
+          if (running) showWellbeingOverlay('sleep');
+        } else if (msg.action === 'selectorPackUpdated' && msg.payload && msg.payload.pack) {
+          SELECTOR_PACK = { active: msg.payload.pack, bundled: msg.payload.bundled || msg.payload.pack };
+          log('Selector pack updated', msg.payload.pack.name, msg.payload.pack.version);
+        } else if (msg.action === 'getDiagnostics') {
+          sendResponse({
+            ok: true,
+            site: SITE ? SITE.id : null,
+            siteEnabled: siteEnabled(),
+            running,
+            shortId: getCurrentShortId(),
+            pageType: getCurrentShortId() ? 'shorts' : 'other',
+            videoAttached: !!currentVideo,
+            perf: perfSnapshot(),
+            selectorPack: SELECTOR_PACK.active ? { name: SELECTOR_PACK.active.name, version: SELECTOR_PACK.active.version } : null,
+            events: diagEvents.slice()
+          });
+        } else if (msg.action === 'queueUpdated' && msg.payload) {
+          QUEUE = msg.payload;
+        } else if (msg.action === 'getCurrentShort') {
+          sendResponse({ ok: true, entry: running ? currentQueueEntry() : null });
+        } else if (msg.action === 'channelForLink') {
+          sendResponse({ ok: true, channel: channelForLink(msg.url) });
+        } else if (msg.action === 'showNote' && msg.text) {
+          showPageNote(String(msg.text), 2500);
+        } else if (msg.action === 'nextNow') {
+          if (running) nextNow();
+        } else if (msg.action === 'holdCurrent') {
+          if (running) toggleHoldCurrent();
+        } else if (msg.action === 'rulesUpdated' && Array.isArray(msg.payload)) {
+          RULES = msg.payload;
+          // re-evaluate the current Short against the new rules
+          if (shortState) {
+            shortState.ruleChecked = false;
+            shortState.rule = null;
+            shortState.ruleActed = false;
+          }
+          log('Content rules updated', RULES.length);
+        }
+      } catch (e) {}
+      // answers (ping, getDiagnostics, getCurrentShort, channelForLink) are synchronous
+    });
+
+    // Start now if this is a feed page, and follow in-app navigation from here on
+    watchRoute();
+    onRouteChange();
+  }
+
+  /* ============================
+     Clean up on unload / navigation
+     ============================ */
 
-try {
-  init();
-} catch (err) {
-  log('Initialization failed', err);
-}
+  window.addEventListener('beforeunload', stopController);
+  // Leaving the page (or entering the back/forward cache) also stops following routes;
+  // a page restored from the cache starts watching again
+  window.addEventListener('pagehide', () => {
+    stopController();
+    unwatchRoute();
+  });
+  window.addEventListener('pageshow', (e) => {
+    if (!e.persisted || !initialized) return;
+    watchRoute();
+    onRouteChange();
+  });
+
+  /* ============================
+     Launch init (idempotent)
+     ============================ */
+
+  try {
+    init();
+  } catch (err) {
+    log('Initialization failed', err);
+  }
+})();
 
 /* ============================
    Known limitations & notes (keep in code for future devs)
    ============================
- - YouTube DOM changes often. Selectors used here are heuristics and may break.
+ - YouTube DOM changes often. Selectors used here are heuristics and may break; most of them live in
+   content/selectors.json (bundled selector pack) so users can import an updated pack from Options.
  - Clicking/automating UI elements can contravene YouTube's terms of service.
    We use policy-aware defaults: do not auto-skip ads unless user explicitly enables skipAds.
  - Some ads may be separate video elements — ad detection may not catch all cases.
- - For best reliability, use the combination of strategies: player-next click, next-link click, and smooth scroll.
- - If behavior seems flaky, check console for logs: prefix "[NextFlow:shorts]".
+ - For best reliability, use the combination of strategies: player-next click, next-link click, and feed scroll.
+ - If behavior seems flaky, check console for logs: prefix "[NextFlow:shorts]", or export a diagnostics
+   report from Options (recent events only, no URLs beyond Short IDs).
  - Consider adding telemetry (opt-in only) or remote configs if you want to handle DOM selector updates without publishing extension updates. Avoid any PII collection.
  ============================ */
@@ -1,19 +1,118 @@
-// options.js - manage options page: load/save/export/import/reset
-const DEFAULTS = {
-  autoScroll: true,
-  skipAds: false,
-  delayMs: 500,
-  onlyOnWifi: false,
-  pauseOnUnskippableAds: true
+// options.js - manage options page: load/save/export/import/reset, content rules editor
+// Settings defaults/validation: shared/settings.js (loaded before this script)
+const DEFAULTS = NextFlowSettings.DEFAULTS;
+// UI strings: _locales/<lang>/messages.json through shared/i18n.js
+const { t, plural } = NextFlowI18n;
+
+// Schedules: weekly windows, days 0 = Sunday; model and validation in shared/schedule.js
+// Short weekday names in the UI language (1 Jan 2023 was a Sunday)
+const DAY_LABELS = [0, 1, 2, 3, 4, 5, 6].map(d =>
+  new Date(2023, 0, 1 + d).toLocaleDateString(NextFlowI18n.lang(), { weekday: 'short' }));
+
+// In-page hotkey actions (names match content/shorts.js HOTKEY_MESSAGES)
+const HOTKEY_LABELS = {
+  toggleAutoScroll: t('common_toggleAutoScroll'),
+  nextShortNow: t('common_nextShortNow'),
+  holdCurrentShort: t('common_holdCurrentShort'),
+  delayUp: t('common_delayUp'),
+  delayDown: t('common_delayDown')
+};
+// "Next" strategies (ids match content/shorts.js and the site adapters)
+const NAV_STRATEGY_LABELS = {
+  playerNext: t('options_strategyPlayerNext'),
+  nextLink: t('options_strategyNextLink'),
+  scroll: t('options_strategyScroll')
+};
+// Keys YouTube's player already uses; binding these would clash
+const YOUTUBE_RESERVED_KEYS = [
+  'K', 'J', 'L', 'M', 'F', 'C', 'T', 'I', 'Space', 'Home', 'End', 'Comma', 'Period', 'Slash',
+  'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown',
+  '0', '1', '2', '3', '4', '5', '6', '7', '8', '9',
+  'Shift+N', 'Shift+P', 'Shift+Comma', 'Shift+Period', 'Shift+Slash'
+];
+
+// Content rules: labels for the editor (values match content/shorts.js)
+const RULE_FIELDS = {
+  channel: t('options_ruleFieldChannel'),
+  title: t('options_ruleFieldTitle'),
+  hashtag: t('options_ruleFieldHashtag'),
+  duration: t('options_ruleFieldDuration')
+};
+const RULE_TEXT_MATCHES = {
+  contains: t('options_ruleMatchContains'),
+  equals: t('options_ruleMatchEquals'),
+  regex: t('options_ruleMatchRegex')
+};
+const RULE_NUMBER_MATCHES = { lt: t('options_ruleMatchLt'), gt: t('options_ruleMatchGt') };
+const RULE_ACTIONS = {
+  skip: t('options_ruleActionSkip'),
+  skipAfter: t('options_ruleActionSkipAfter'),
+  never: t('options_ruleActionNever')
+};
+const RULE_PLACEHOLDERS = {
+  channel: t('options_rulePlaceholderChannel'),
+  title: t('options_rulePlaceholderTitle'),
+  hashtag: t('options_rulePlaceholderHashtag'),
+  duration: t('options_rulePlaceholderDuration')
+};
+// Watch history "Ended" column (codes from content/shorts.js)
+const ENDED_BY_LABELS = {
+  'auto-advanced': t('options_endedAutoAdvanced'),
+  'user-scrolled': t('options_endedUserScrolled'),
+  'rule-skipped': t('options_endedRuleSkipped'),
+  'seen-skipped': t('options_endedSeenSkipped')
 };
 
 document.addEventListener('DOMContentLoaded', async () => {
+  NextFlowI18n.localizePage();
+  describeFields();
+
   // Elements
   const optAuto = document.getElementById('optAuto');
   const optDelay = document.getElementById('optDelay');
   const optLoopSafe = document.getElementById('optLoopSafe');
   const optSkipAds = document.getElementById('optSkipAds');
   const optAdPause = document.getElementById('optAdPause');
+  const optAdvanceMode = document.getElementById('optAdvanceMode');
+  const optAdvancePercent = document.getElementById('optAdvancePercent');
+  const optAdvanceMaxSeconds = document.getElementById('optAdvanceMaxSeconds');
+  const optAdvanceLoops = document.getElementById('optAdvanceLoops');
+  const optPreviewSeconds = document.getElementById('optPreviewSeconds');
+  const optSessionShorts = document.getElementById('optSessionShorts');
+  const optSessionMinutes = document.getElementById('optSessionMinutes');
+  const optDailyShorts = document.getElementById('optDailyShorts');
+  const optBreakEvery = document.getElementById('optBreakEvery');
+  const optSleepMinutes = document.getElementById('optSleepMinutes');
+  const optNetworkUnknown = document.getElementById('optNetworkUnknown');
+  const optSaveData = document.getElementById('optSaveData');
+  const optMinDownlink = document.getElementById('optMinDownlink');
+  const optMaxRtt = document.getElementById('optMaxRtt');
+  const optHud = document.getElementById('optHud');
+  const optHudPosition = document.getElementById('optHudPosition');
+  const optAccessibility = document.getElementById('optAccessibility');
+  const optSiteYouTube = document.getElementById('optSiteYouTube');
+  const optSiteInstagram = document.getElementById('optSiteInstagram');
+  const optSiteTikTok = document.getElementById('optSiteTikTok');
+  const optHoldHidden = document.getElementById('optHoldHidden');
+  const optHoldUnfocused = document.getElementById('optHoldUnfocused');
+  const optIdleMinutes = document.getElementById('optIdleMinutes');
+  const optSkipSeen = document.getElementById('optSkipSeen');
+  const optSeenPercent = document.getElementById('optSeenPercent');
+  const optSeenRetention = document.getElementById('optSeenRetention');
+  const btnSeenClear = document.getElementById('btnSeenClear');
+  const optQueuePlay = document.getElementById('optQueuePlay');
+  const queueCount = document.getElementById('queueCount');
+  const queueList = document.getElementById('queueList');
+  const fileQueue = document.getElementById('fileQueue');
+  const btnQueueImport = document.getElementById('btnQueueImport');
+  const btnQueueExport = document.getElementById('btnQueueExport');
+  const btnQueueClear = document.getElementById('btnQueueClear');
+  const seenCount = document.getElementById('seenCount');
+  const optProfile = document.getElementById('optProfile');
+  const btnNewProfile = document.getElementById('btnNewProfile');
+  const btnDuplicateProfile = document.getElementById('btnDuplicateProfile');
+  const btnRenameProfile = document.getElementById('btnRenameProfile');
+  const btnDeleteProfile = document.getElementById('btnDeleteProfile');
 
   const btnExport = document.getElementById('btnExport');
   const fileImport = document.getElementById('fileImport');
@@ -21,6 +120,33 @@ document.addEventListener('DOMContentLoaded', async () => {
   const btnReset = document.getElementById('btnReset');
   const btnSave = document.getElementById('btnSave');
   const statusText = document.getElementById('statusText');
+  const optHotkeys = document.getElementById('optHotkeys');
+  const hotkeysList = document.getElementById('hotkeysList');
+  const commandsList = document.getElementById('commandsList');
+  const btnEditCommands = document.getElementById('btnEditCommands');
+  const packInfo = document.getElementById('packInfo');
+  const filePack = document.getElementById('filePack');
+  const btnImportPack = document.getElementById('btnImportPack');
+  const btnResetPack = document.getElementById('btnResetPack');
+  const packErrors = document.getElementById('packErrors');
+  const optHistory = document.getElementById('optHistory');
+  const historySearch = document.getElementById('historySearch');
+  const historyRows = document.getElementById('historyRows');
+  const historyCount = document.getElementById('historyCount');
+  const btnHistoryCsv = document.getElementById('btnHistoryCsv');
+  const btnHistoryJson = document.getElementById('btnHistoryJson');
+  const btnHistoryClear = document.getElementById('btnHistoryClear');
+  const btnCollectDiag = document.getElementById('btnCollectDiag');
+  const btnExportDiag = document.getElementById('btnExportDiag');
+  const diagSummary = document.getElementById('diagSummary');
+  const diagPreview = document.getElementById('diagPreview');
+  const optSchedule = document.getElementById('optSchedule');
+  const optScheduleMode = document.getElementById('optScheduleMode');
+  const scheduleList = document.getElementById('scheduleList');
+  const btnAddWindow = document.getElementById('btnAddWindow');
+  const strategyList = document.getElementById('strategyList');
+  const rulesList = document.getElementById('rulesList');
+  const btnAddRule = document.getElementById('btnAddRule');
   const privacyLink = document.getElementById('privacyLink');
   const githubLink = document.getElementById('githubLink');
 
@@ -28,102 +154,979 @@ document.addEventListener('DOMContentLoaded', async () => {
   privacyLink.href = 'https://your-site.example/privacy.html';
   githubLink.href = 'https://github.com/yourusername/nextflow';
 
-  // Load current settings
-  const data = await getStorage(['settings']);
-  const s = data.settings || DEFAULTS;
+  // Load current settings (the active profile's)
+  let profiles = await loadProfiles();
+  const s = NextFlowSettings.activeProfile(profiles).settings;
+  let hotkeys = Object.assign({}, s.hotkeys);
+  let navStrategies = s.navStrategies.map(n => Object.assign({}, n));
 
   // populate fields
-  optAuto.checked = Boolean(s.autoScroll);
-  optDelay.value = s.delayMs ?? DEFAULTS.delayMs;
-  optLoopSafe.checked = Boolean(s.onlyOnWifi);
-  optSkipAds.checked = Boolean(s.skipAds);
-  optAdPause.checked = Boolean(s.pauseOnUnskippableAds);
+  fillSettings(s);
+  renderProfiles();
+  optAdvanceMode.addEventListener('change', showAdvanceFields);
+
+  // Profiles: every change below is written straight away, together with the `settings` mirror
+  optProfile.addEventListener('change', async () => {
+    profiles = await loadProfiles();
+    profiles.activeId = optProfile.value;
+    if (!(await saveProfiles())) return;
+    flashStatus(t('options_statusSwitched', NextFlowSettings.activeProfile(profiles).name));
+  });
+
+  btnNewProfile.addEventListener('click', () => addProfile(NextFlowSettings.normalize({}), t('options_newProfileName')));
+
+  btnDuplicateProfile.addEventListener('click', async () => {
+    profiles = await loadProfiles();
+    const active = NextFlowSettings.activeProfile(profiles);
+    addProfile(active.settings, t('options_copyProfileName', active.name));
+  });
+
+  btnRenameProfile.addEventListener('click', async () => {
+    profiles = await loadProfiles();
+    const active = NextFlowSettings.activeProfile(profiles);
+    const name = prompt(t('options_promptProfileName'), active.name);
+    if (name === null || !name.trim()) return;
+    active.name = name.trim().slice(0, NextFlowSettings.PROFILE_NAME_MAX);
+    if (!(await saveProfiles())) return;
+    flashStatus(t('options_statusRenamed'));
+  });
+
+  btnDeleteProfile.addEventListener('click', async () => {
+    profiles = await loadProfiles();
+    if (profiles.items.length < 2) return flashStatus(t('options_statusKeepOneProfile'), true);
+    const active = NextFlowSettings.activeProfile(profiles);
+    if (!confirm(t('options_confirmDeleteProfile', active.name))) return;
+    profiles.items = profiles.items.filter(p => p.id !== active.id);
+    profiles.activeId = profiles.items[0].id;
+    if (!(await saveProfiles())) return;
+    flashStatus(t('options_statusDeleted'));
+  });
+
+  // Already-seen Shorts: the ID list lives in the background's local storage
+  renderSeenCount();
+  btnSeenClear.addEventListener('click', () => {
+    if (!confirm(t('options_confirmSeenClear'))) return;
+    chrome.runtime.sendMessage({ action: 'seenClear' }, () => {
+      renderSeenCount();
+      flashStatus(t('options_statusSeenCleared'));
+    });
+  });
+
+  // Watch queue: kept by background in local storage; every edit here is written straight away
+  let queue = { playing: false, items: [] };
+  let queueFocus = null; // { index, delta } or { index, removed } until the next renderQueue()
+  const loadQueue = () => {
+    chrome.runtime.sendMessage({ action: 'getQueue' }, (resp) => {
+      if (chrome.runtime.lastError || !resp || !resp.queue) return;
+      queue = resp.queue;
+      renderQueue();
+    });
+  };
+  loadQueue();
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.queue) loadQueue();
+  });
+  optQueuePlay.addEventListener('change', () => {
+    chrome.runtime.sendMessage({ action: 'queuePlay', playing: optQueuePlay.checked });
+  });
+  btnQueueImport.addEventListener('click', async () => {
+    if (!fileQueue.files || !fileQueue.files.length) return flashStatus(t('options_statusSelectFile'), true);
+    const lines = (await fileQueue.files[0].text()).split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    const parsed = lines.map(l => NextFlowSites.parseShortUrl(l)).filter(Boolean);
+    if (!parsed.length) return flashStatus(t('options_statusNoShortUrls'), true);
+    const before = queue.items.length;
+    const items = queue.items.concat(parsed.map(p => ({ site: p.site.id, shortId: p.shortId })));
+    chrome.runtime.sendMessage({ action: 'queueSetItems', items }, (resp) => {
+      if (chrome.runtime.lastError || !resp || !resp.ok) return flashStatus(t('options_statusImportFailed'), true);
+      // Duplicates and lines over the size limit are dropped by background
+      flashStatus(t('options_statusQueueAdded', [resp.queue.items.length - before, lines.length]));
+    });
+  });
+  btnQueueExport.addEventListener('click', () => {
+    if (!queue.items.length) return flashStatus(t('options_statusQueueEmpty'), true);
+    const urls = queue.items.map(i => NextFlowSites.byId(i.site).shortUrl(i.shortId));
+    downloadText(urls.join('\n') + '\n', 'nextflow-queue.txt', 'text/plain');
+    flashStatus(t('options_statusQueueExported'));
+  });
+  btnQueueClear.addEventListener('click', () => {
+    if (!queue.items.length || !confirm(t('options_confirmQueueClear'))) return;
+    chrome.runtime.sendMessage({ action: 'queueSetItems', items: [] }, () => flashStatus(t('options_statusQueueCleared')));
+  });
+
+  // Keyboard shortcuts (in-page hotkeys were rendered by fillSettings)
+  renderCommands();
+  btnEditCommands.addEventListener('click', () => {
+    // chrome:// URLs can't be opened from a link
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+
+  // Selector pack: show what's active, import/validate a replacement, or go back to bundled
+  renderPackInfo();
+
+  btnImportPack.addEventListener('click', async () => {
+    packErrors.textContent = '';
+    if (!filePack.files || !filePack.files.length) return flashStatus(t('options_statusSelectFile'), true);
+    try {
+      const pack = JSON.parse(await filePack.files[0].text());
+      const errors = validateSelectorPack(pack);
+      if (errors.length) {
+        packErrors.textContent = errors.slice(0, 5).join(' · ');
+        return flashStatus(t('options_statusInvalidPack'), true);
+      }
+      await chrome.storage.local.set({ selectorPack: pack });
+      renderPackInfo();
+      flashStatus(t('options_statusPackImported'));
+    } catch (err) {
+      console.error(err);
+      packErrors.textContent = t('options_packNotJson');
+      flashStatus(t('options_statusInvalidFile'), true);
+    }
+  });
+
+  btnResetPack.addEventListener('click', async () => {
+    packErrors.textContent = '';
+    await chrome.storage.local.remove('selectorPack');
+    renderPackInfo();
+    flashStatus(t('options_statusBundledPack'));
+  });
+
+  // Watch history (opt-in; entries live in the background worker's IndexedDB)
+  optHistory.checked = Boolean(s.historyEnabled);
+  loadHistory();
+  let historySearchTimer = null;
+  historySearch.addEventListener('input', () => {
+    clearTimeout(historySearchTimer);
+    historySearchTimer = setTimeout(loadHistory, 250);
+  });
+
+  btnHistoryCsv.addEventListener('click', async () => {
+    try {
+      const entries = await fetchHistory(historySearch.value, 0);
+      downloadText(historyToCsv(entries), 'nextflow-history.csv', 'text/csv');
+      flashStatus(t('options_statusHistoryExported'));
+    } catch (err) {
+      flashStatus(t('options_statusHistoryFailed', err.message), true);
+    }
+  });
+
+  btnHistoryJson.addEventListener('click', async () => {
+    try {
+      const entries = await fetchHistory(historySearch.value, 0);
+      downloadJson(entries, 'nextflow-history.json');
+      flashStatus(t('options_statusHistoryExported'));
+    } catch (err) {
+      flashStatus(t('options_statusHistoryFailed', err.message), true);
+    }
+  });
+
+  btnHistoryClear.addEventListener('click', () => {
+    if (!confirm(t('options_confirmHistoryClear'))) return;
+    chrome.runtime.sendMessage({ action: 'historyClear' }, (resp) => {
+      if (!resp || !resp.ok) {
+        const error = (resp && resp.error) || chrome.runtime.lastError?.message || 'no response';
+        return flashStatus(t('options_statusHistoryClearFailed', error), true);
+      }
+      loadHistory();
+      flashStatus(t('options_statusHistoryCleared'));
+    });
+  });
+
+  // Diagnostics: pull the content script's event buffer and export it as a report
+  let diagReport = null;
+  btnCollectDiag.addEventListener('click', () => {
+    diagSummary.textContent = t('options_diagCollecting');
+    chrome.runtime.sendMessage({ action: 'collectDiagnostics' }, async (resp) => {
+      if (!resp || !resp.ok) {
+        diagReport = null;
+        btnExportDiag.disabled = true;
+        diagPreview.hidden = true;
+        diagSummary.textContent = resp && resp.reason === 'no-tab'
+          ? t('options_diagNoTab')
+          : t('options_diagNotRunning');
+        return;
+      }
+      const current = NextFlowSettings.normalize((await getStorage(['settings'])).settings);
+      diagReport = {
+        generatedAt: new Date().toISOString(),
+        extensionVersion: chrome.runtime.getManifest().version,
+        platform: navigator.platform,
+        page: { site: resp.site, type: resp.pageType, shortId: resp.shortId, videoAttached: resp.videoAttached },
+        perf: resp.perf || null,
+        selectorPack: resp.selectorPack,
+        settings: current,
+        events: resp.events
+      };
+      const strategies = resp.events.filter(e => e.type === 'strategy');
+      const failed = strategies.filter(e => !e.ok).length;
+      const summary = [
+        plural('options_diagEvents', resp.events.length),
+        plural('options_diagAttempts', strategies.length, failed)
+      ];
+      if (resp.perf) summary.push(t('options_diagPerf', [resp.perf.scansPerMinute, resp.perf.avgScanMs]));
+      diagSummary.textContent = summary.join(' · ');
+      diagPreview.textContent = resp.events.slice(-25).map(formatDiagEvent).join('\n') || t('options_diagNoEvents');
+      diagPreview.hidden = false;
+      btnExportDiag.disabled = false;
+    });
+  });
+
+  btnExportDiag.addEventListener('click', () => {
+    if (!diagReport) return;
+    const stamp = diagReport.generatedAt.replace(/[:.]/g, '-');
+    downloadJson(diagReport, `nextflow-diagnostics-${stamp}.json`);
+    flashStatus(t('options_statusReportExported'));
+  });
+
+  // Schedule (stored next to settings)
+  let schedule = NextFlowSchedule.normalize((await getStorage(['schedule'])).schedule);
+  fillSchedule();
+  btnAddWindow.addEventListener('click', () => {
+    schedule.windows.push({ days: [1, 2, 3, 4, 5], start: '18:00', end: '23:00' });
+    renderScheduleWindows();
+    const inputs = scheduleList.querySelectorAll('input[type="time"]');
+    if (inputs.length) inputs[inputs.length - 2].focus();
+  });
+
+  // Load content rules (stored next to settings)
+  let rules = normalizeRules((await getStorage(['rules'])).rules);
+  renderRules();
+
+  btnAddRule.addEventListener('click', () => {
+    rules.push(normalizeRule({ field: 'channel', match: 'contains', value: '', action: 'skip' }));
+    renderRules();
+    const inputs = rulesList.querySelectorAll('input[type="text"]');
+    if (inputs.length) inputs[inputs.length - 1].focus();
+  });
 
   // Save button
   btnSave.addEventListener('click', async () => {
-    const next = {
+    const next = NextFlowSettings.normalize({
       autoScroll: !!optAuto.checked,
       delayMs: Number(optDelay.value) || DEFAULTS.delayMs,
       onlyOnWifi: !!optLoopSafe.checked,
+      networkUnknown: optNetworkUnknown.value,
+      respectSaveData: !!optSaveData.checked,
+      minDownlinkMbps: Number(optMinDownlink.value) || 0,
+      maxRttMs: readCount(optMaxRtt),
       skipAds: !!optSkipAds.checked,
-      pauseOnUnskippableAds: !!optAdPause.checked
-    };
-    await setStorage({ settings: next });
+      pauseOnUnskippableAds: !!optAdPause.checked,
+      advanceMode: optAdvanceMode.value,
+      advancePercent: Math.min(100, Math.max(1, readCount(optAdvancePercent) || DEFAULTS.advancePercent)),
+      advanceMaxSeconds: Math.max(1, readCount(optAdvanceMaxSeconds) || DEFAULTS.advanceMaxSeconds),
+      advanceLoops: readCount(optAdvanceLoops),
+      previewSeconds: Math.max(1, readCount(optPreviewSeconds) || DEFAULTS.previewSeconds),
+      historyEnabled: !!optHistory.checked,
+      hudEnabled: !!optHud.checked,
+      hudPosition: optHudPosition.value,
+      accessibilityMode: !!optAccessibility.checked,
+      siteYouTube: !!optSiteYouTube.checked,
+      siteInstagram: !!optSiteInstagram.checked,
+      siteTikTok: !!optSiteTikTok.checked,
+      holdWhenHidden: !!optHoldHidden.checked,
+      holdWhenUnfocused: !!optHoldUnfocused.checked,
+      idleHoldMinutes: readCount(optIdleMinutes),
+      skipSeen: !!optSkipSeen.checked,
+      seenPercent: readCount(optSeenPercent) || DEFAULTS.seenPercent,
+      seenRetentionDays: readCount(optSeenRetention) || DEFAULTS.seenRetentionDays,
+      sessionMaxShorts: readCount(optSessionShorts),
+      sessionMaxMinutes: readCount(optSessionMinutes),
+      dailyMaxShorts: readCount(optDailyShorts),
+      breakEveryShorts: readCount(optBreakEvery),
+      sleepTimerMinutes: Math.max(1, readCount(optSleepMinutes) || DEFAULTS.sleepTimerMinutes),
+      navStrategies: navStrategies.map(n => Object.assign({}, n)),
+      inPageHotkeys: !!optHotkeys.checked,
+      hotkeys: Object.assign({}, hotkeys)
+    });
+    // Drop rules without a value; they can never match
+    rules = normalizeRules(rules).filter(r => String(r.value).trim() !== '');
+    schedule.enabled = !!optSchedule.checked;
+    schedule.mode = optScheduleMode.value;
+    schedule = NextFlowSchedule.normalize(schedule);
+    try {
+      await setStorage({ settings: next, rules, schedule });
+    } catch (err) {
+      console.error(err);
+      return flashStatus(t('options_statusSaveFailed', err.message), true);
+    }
+    fillSchedule();
+    renderRules();
     // Notify background/content
     chrome.runtime.sendMessage({ action: 'settingsUpdated', payload: next });
-    flashStatus('Saved');
+    flashStatus(t('options_statusSaved'));
   });
 
-  // Export settings
+  // Export settings: every profile, plus the active settings for reference
   btnExport.addEventListener('click', async () => {
-    const current = (await getStorage(['settings'])).settings || DEFAULTS;
-    const blob = new Blob([JSON.stringify(current, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'nextflow-settings.json';
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
-    flashStatus('Exported');
+    profiles = await loadProfiles();
+    const settings = NextFlowSettings.activeProfile(profiles).settings;
+    downloadJson({ settings, profiles }, 'nextflow-settings.json');
+    flashStatus(t('options_statusExported'));
   });
 
   // Import settings (select file then click apply)
   btnImport.addEventListener('click', async () => {
-    if (!fileImport.files || !fileImport.files.length) return flashStatus('Select a file first', true);
+    if (!fileImport.files || !fileImport.files.length) return flashStatus(t('options_statusSelectFile'), true);
     const file = fileImport.files[0];
     try {
       const text = await file.text();
       const obj = JSON.parse(text);
       // Basic validation
       if (typeof obj !== 'object') throw new Error('Invalid JSON');
-      // Merge with defaults to ensure shape
-      const next = Object.assign({}, DEFAULTS, obj);
-      await setStorage({ settings: next });
-      chrome.runtime.sendMessage({ action: 'settingsUpdated', payload: next });
-      // Update UI
-      optAuto.checked = !!next.autoScroll;
-      optDelay.value = next.delayMs;
-      optLoopSafe.checked = !!next.onlyOnWifi;
-      optSkipAds.checked = !!next.skipAds;
-      optAdPause.checked = !!next.pauseOnUnskippableAds;
-      flashStatus('Imported');
+      // Files exported by older versions are migrated, then validated against the schema.
+      // Settings-only files (before profiles) replace the active profile's settings.
+      if (obj.profiles) {
+        profiles = NextFlowSettings.normalizeProfiles(obj.profiles, obj.settings);
+      } else {
+        profiles = await loadProfiles();
+        NextFlowSettings.activeProfile(profiles).settings = NextFlowSettings.migrate(obj).settings;
+      }
+      if (!(await saveProfiles())) return;
+      flashStatus(t('options_statusImported'));
     } catch (err) {
       console.error(err);
-      flashStatus('Invalid file', true);
+      flashStatus(t('options_statusInvalidFile'), true);
     }
   });
 
-  // Reset
+  // Reset (the active profile only; other profiles are kept)
   btnReset.addEventListener('click', async () => {
-    if (!confirm('Reset all NextFlow settings to defaults?')) return;
-    await setStorage({ settings: DEFAULTS });
-    chrome.runtime.sendMessage({ action: 'settingsUpdated', payload: DEFAULTS });
-    // update UI
-    optAuto.checked = DEFAULTS.autoScroll;
-    optDelay.value = DEFAULTS.delayMs;
-    optLoopSafe.checked = DEFAULTS.onlyOnWifi;
-    optSkipAds.checked = DEFAULTS.skipAds;
-    optAdPause.checked = DEFAULTS.pauseOnUnskippableAds;
-    flashStatus('Reset');
+    profiles = await loadProfiles();
+    const active = NextFlowSettings.activeProfile(profiles);
+    if (!confirm(t('options_confirmReset', active.name))) return;
+    active.settings = NextFlowSettings.normalize({});
+    if (!(await saveProfiles())) return;
+    flashStatus(t('options_statusReset'));
   });
 
+  // Put a settings object into every settings field on the page
+  function fillSettings(src) {
+    optAuto.checked = !!src.autoScroll;
+    optDelay.value = src.delayMs;
+    optLoopSafe.checked = !!src.onlyOnWifi;
+    optNetworkUnknown.value = src.networkUnknown;
+    optSaveData.checked = !!src.respectSaveData;
+    optMinDownlink.value = src.minDownlinkMbps;
+    optMaxRtt.value = src.maxRttMs;
+    optSkipAds.checked = !!src.skipAds;
+    optAdPause.checked = !!src.pauseOnUnskippableAds;
+    fillWellbeing(src);
+    fillAdvancePolicy(src);
+    optHistory.checked = !!src.historyEnabled;
+    optHud.checked = !!src.hudEnabled;
+    optHudPosition.value = src.hudPosition;
+    optAccessibility.checked = !!src.accessibilityMode;
+    optSiteYouTube.checked = !!src.siteYouTube;
+    optSiteInstagram.checked = !!src.siteInstagram;
+    optSiteTikTok.checked = !!src.siteTikTok;
+    optHoldHidden.checked = !!src.holdWhenHidden;
+    optHoldUnfocused.checked = !!src.holdWhenUnfocused;
+    optIdleMinutes.value = src.idleHoldMinutes;
+    optSkipSeen.checked = !!src.skipSeen;
+    optSeenPercent.value = src.seenPercent;
+    optSeenRetention.value = src.seenRetentionDays;
+    optHotkeys.checked = !!src.inPageHotkeys;
+    hotkeys = Object.assign({}, src.hotkeys);
+    renderHotkeys();
+    navStrategies = src.navStrategies.map(n => Object.assign({}, n));
+    renderStrategies();
+  }
+
+  // Fresh copy from storage, so changes made in the popup meanwhile are not overwritten.
+  // Profiles are in local storage (too big for one sync item); `settings` stays in sync.
+  async function loadProfiles() {
+    const [{ profiles: stored }, { settings }] = await Promise.all([
+      getStorage(['profiles'], 'local'),
+      getStorage(['settings'])
+    ]);
+    return NextFlowSettings.normalizeProfiles(stored, settings);
+  }
+
+  // Write `profiles` and the active profile's `settings`, then refresh the page.
+  // Resolves false (after showing the error and reloading what is stored) when a write fails.
+  async function saveProfiles() {
+    profiles = NextFlowSettings.normalizeProfiles(profiles);
+    const settings = NextFlowSettings.activeProfile(profiles).settings;
+    try {
+      await setStorage({ profiles }, 'local');
+      await setStorage({ settings });
+    } catch (err) {
+      console.error(err);
+      flashStatus(t('options_statusSaveFailed', err.message), true);
+      profiles = await loadProfiles();
+      renderProfiles();
+      return false;
+    }
+    chrome.runtime.sendMessage({ action: 'settingsUpdated', payload: settings });
+    fillSettings(settings);
+    renderProfiles();
+    return true;
+  }
+
+  // New profiles become the active one, so the page shows what is being edited
+  async function addProfile(settings, suggestedName) {
+    profiles = await loadProfiles();
+    if (profiles.items.length >= NextFlowSettings.MAX_PROFILES) {
+      return flashStatus(t('options_statusMaxProfiles', NextFlowSettings.MAX_PROFILES), true);
+    }
+    const name = prompt(t('options_promptProfileName'), suggestedName);
+    if (name === null || !name.trim()) return;
+    const id = NextFlowSettings.newProfileId();
+    profiles.items.push({ id, name: name.trim().slice(0, NextFlowSettings.PROFILE_NAME_MAX), settings });
+    profiles.activeId = id;
+    if (!(await saveProfiles())) return;
+    flashStatus(t('options_statusProfileCreated'));
+  }
+
+  // One row per queued Short: link, channel, move up / down, remove
+  function renderQueue() {
+    optQueuePlay.checked = queue.playing;
+    optQueuePlay.disabled = !queue.items.length;
+    queueCount.textContent = plural('options_queueCount', queue.items.length);
+    queueList.textContent = '';
+    if (!queue.items.length) {
+      const empty = document.createElement('div');
+      empty.className = 'empty';
+      empty.textContent = t('options_queueEmpty');
+      queueList.appendChild(empty);
+      if (queueFocus) btnQueueImport.focus();
+      queueFocus = null;
+      return;
+    }
+    queue.items.forEach((item, index) => {
+      const row = document.createElement('div');
+      row.className = 'rule-row';
+
+      const link = document.createElement('a');
+      link.href = NextFlowSites.byId(item.site).shortUrl(item.shortId);
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = item.title || item.shortId;
+      const who = document.createElement('small');
+      who.className = 'hint';
+      who.textContent = [NextFlowSites.byId(item.site).name, item.channel].filter(Boolean).join(' · ');
+
+      const move = (delta, text, aria) => {
+        const btn = document.createElement('button');
+        btn.className = 'btn-ghost';
+        btn.textContent = text;
+        btn.setAttribute('aria-label', t(aria, link.textContent));
+        btn.disabled = !queue.items[index + delta];
+        btn.addEventListener('click', () => {
+          const items = queue.items.slice();
+          items.splice(index + delta, 0, items.splice(index, 1)[0]);
+          queueFocus = { index: index + delta, delta };
+          chrome.runtime.sendMessage({ action: 'queueSetItems', items });
+        });
+        return btn;
+      };
+      const remove = document.createElement('button');
+      remove.className = 'btn-ghost';
+      remove.textContent = t('options_remove');
+      remove.setAttribute('aria-label', t('options_removeItem', link.textContent));
+      remove.addEventListener('click', () => {
+        queueFocus = { index, removed: true };
+        chrome.runtime.sendMessage({ action: 'queueRemove', site: item.site, shortId: item.shortId });
+      });
+
+      row.append(link, who, move(-1, '↑', 'options_moveUp'), move(1, '↓', 'options_moveDown'), remove);
+      queueList.appendChild(row);
+    });
+    if (queueFocus) {
+      if (queueFocus.removed) focusAfterRemove(queueList, queueFocus.index, btnQueueImport);
+      else focusMoveButton(queueList, queueFocus.index, queueFocus.delta);
+      queueFocus = null;
+    }
+  }
+
+  function renderSeenCount() {
+    chrome.runtime.sendMessage({ action: 'seenCount' }, (resp) => {
+      const n = resp && resp.ok ? resp.count : 0;
+      seenCount.textContent = plural('options_seenCount', n);
+    });
+  }
+
+  function renderProfiles() {
+    optProfile.innerHTML = '';
+    for (const p of profiles.items) {
+      const opt = document.createElement('option');
+      opt.value = p.id;
+      opt.textContent = p.name;
+      optProfile.appendChild(opt);
+    }
+    optProfile.value = profiles.activeId;
+    btnDeleteProfile.disabled = profiles.items.length < 2;
+  }
+
+  // Advance policy: mode select plus the one value field that mode uses
+  function fillAdvancePolicy(src) {
+    optAdvanceMode.value = src.advanceMode || DEFAULTS.advanceMode;
+    optAdvancePercent.value = src.advancePercent ?? DEFAULTS.advancePercent;
+    optAdvanceMaxSeconds.value = src.advanceMaxSeconds ?? DEFAULTS.advanceMaxSeconds;
+    optAdvanceLoops.value = src.advanceLoops ?? DEFAULTS.advanceLoops;
+    optPreviewSeconds.value = src.previewSeconds ?? DEFAULTS.previewSeconds;
+    showAdvanceFields();
+  }
+
+  function showAdvanceFields() {
+    for (const field of document.querySelectorAll('[data-advance-mode]')) {
+      field.hidden = field.dataset.advanceMode !== optAdvanceMode.value;
+    }
+  }
+
+  // Wellbeing limit fields (0 = off)
+  function fillWellbeing(src) {
+    optSessionShorts.value = src.sessionMaxShorts ?? DEFAULTS.sessionMaxShorts;
+    optSessionMinutes.value = src.sessionMaxMinutes ?? DEFAULTS.sessionMaxMinutes;
+    optDailyShorts.value = src.dailyMaxShorts ?? DEFAULTS.dailyMaxShorts;
+    optBreakEvery.value = src.breakEveryShorts ?? DEFAULTS.breakEveryShorts;
+    optSleepMinutes.value = src.sleepTimerMinutes ?? DEFAULTS.sleepTimerMinutes;
+  }
+
+  function readCount(input) {
+    return Math.max(0, Math.floor(Number(input.value) || 0));
+  }
+
+  // Show the newest 200 matching history entries
+  async function loadHistory() {
+    let entries;
+    try {
+      entries = await fetchHistory(historySearch.value, 200);
+    } catch (err) {
+      return flashStatus(t('options_statusHistoryFailed', err.message), true);
+    }
+    historyRows.textContent = '';
+    for (const e of entries) {
+      const tr = document.createElement('tr');
+      const cells = [
+        new Date(e.at).toLocaleString(NextFlowI18n.lang()),
+        e.shortId,
+        e.channel || '—',
+        t('options_historySeconds', e.duration),
+        t('options_historyPercent', e.percentWatched),
+        ENDED_BY_LABELS[e.endedBy] || e.endedBy
+      ];
+      cells.forEach((text, i) => {
+        const td = document.createElement('td');
+        if (i === 1) {
+          const a = document.createElement('a');
+          a.href = (NextFlowSites.byId(e.site) || NextFlowSites.SITES[0]).shortUrl(e.shortId);
+          a.target = '_blank';
+          a.rel = 'noopener';
+          a.textContent = text;
+          a.title = e.title || text;
+          td.appendChild(a);
+        } else {
+          td.textContent = text;
+        }
+        tr.appendChild(td);
+      });
+      historyRows.appendChild(tr);
+    }
+    historyCount.textContent = entries.length
+      ? plural('options_historyShowing', entries.length)
+      : (optHistory.checked ? t('options_historyEmpty') : t('options_historyOff'));
+  }
+
+  function renderPackInfo() {
+    chrome.runtime.sendMessage({ action: 'getSelectorPack' }, (resp) => {
+      if (!resp || !resp.pack) {
+        packInfo.textContent = t('options_packUnavailable');
+        return;
+      }
+      const { name, version } = resp.pack;
+      const source = resp.source === 'imported' ? t('options_packImported') : t('options_packBundled');
+      packInfo.textContent = t('options_packInfo', [name || t('options_packUnnamed'), version || '', source]);
+    });
+  }
+
+  // Global shortcuts are owned by Chrome; list what is currently bound
+  function renderCommands() {
+    if (!chrome.commands || !chrome.commands.getAll) return;
+    chrome.commands.getAll((commands) => {
+      commandsList.textContent = '';
+      for (const cmd of commands) {
+        if (!cmd.description) continue;
+        const row = document.createElement('div');
+        row.className = 'shortcut-row';
+        const label = document.createElement('span');
+        label.textContent = cmd.description;
+        const key = document.createElement('kbd');
+        key.textContent = cmd.shortcut || t('options_notSet');
+        row.append(label, key);
+        commandsList.appendChild(row);
+      }
+    });
+  }
+
+  // In-page hotkeys: click a field, then press the new combination (Backspace clears)
+  function renderHotkeys() {
+    hotkeysList.textContent = '';
+    for (const [name, label] of Object.entries(HOTKEY_LABELS)) {
+      const row = document.createElement('div');
+      row.className = 'shortcut-row';
+      const text = document.createElement('label');
+      text.textContent = label;
+      text.htmlFor = `hotkey-${name}`;
+      const input = document.createElement('input');
+      input.id = `hotkey-${name}`;
+      input.readOnly = true;
+      input.value = hotkeys[name] || '';
+      input.placeholder = t('options_notSet');
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Tab') return;
+        e.preventDefault();
+        if (e.key === 'Backspace' || e.key === 'Delete') {
+          hotkeys[name] = '';
+          input.value = '';
+          return;
+        }
+        const combo = NextFlowSettings.comboFromEvent(e);
+        if (!combo) return;
+        if (YOUTUBE_RESERVED_KEYS.includes(combo)) return flashStatus(t('options_statusKeyYouTube', combo), true);
+        const taken = Object.keys(hotkeys).find(k => k !== name && hotkeys[k] === combo);
+        if (taken) return flashStatus(t('options_statusKeyTaken', combo), true);
+        hotkeys[name] = combo;
+        input.value = combo;
+      });
+      row.append(text, input);
+      hotkeysList.appendChild(row);
+    }
+  }
+
+  function fillSchedule() {
+    optSchedule.checked = schedule.enabled;
+    optScheduleMode.value = schedule.mode;
+    renderScheduleWindows();
+  }
+
+  // One row per window: day toggles, start and end time, remove
+  function renderScheduleWindows() {
+    scheduleList.textContent = '';
+    if (!schedule.windows.length) {
+      const empty = document.createElement('div');
+      empty.className = 'empty';
+      empty.textContent = t('options_scheduleEmpty');
+      scheduleList.appendChild(empty);
+      return;
+    }
+    schedule.windows.forEach((win, index) => {
+      const row = document.createElement('div');
+      row.className = 'rule-row';
+
+      const days = document.createElement('div');
+      days.className = 'day-picks';
+      days.setAttribute('role', 'group');
+      days.setAttribute('aria-label', t('options_scheduleDays'));
+      DAY_LABELS.forEach((name, day) => {
+        const label = document.createElement('label');
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked = win.days.includes(day);
+        box.addEventListener('change', () => {
+          win.days = box.checked ? [...new Set([...win.days, day])].sort() : win.days.filter(d => d !== day);
+        });
+        label.append(box, name);
+        days.appendChild(label);
+      });
+
+      const start = document.createElement('input');
+      start.type = 'time';
+      start.value = win.start;
+      start.setAttribute('aria-label', t('options_scheduleStart'));
+      start.addEventListener('change', () => { win.start = start.value; });
+
+      const end = document.createElement('input');
+      end.type = 'time';
+      end.value = win.end;
+      end.setAttribute('aria-label', t('options_scheduleEnd'));
+      end.addEventListener('change', () => { win.end = end.value; });
+
+      const remove = document.createElement('button');
+      remove.className = 'btn-ghost';
+      remove.textContent = t('options_remove');
+      remove.addEventListener('click', () => {
+        schedule.windows.splice(index, 1);
+        renderScheduleWindows();
+        focusAfterRemove(scheduleList, index, btnAddWindow);
+      });
+
+      const to = document.createElement('span');
+      to.textContent = t('options_scheduleTo');
+      row.append(days, start, to, end, remove);
+      scheduleList.appendChild(row);
+    });
+  }
+
+  // One row per "next" strategy: enabled, name, move up / down
+  function renderStrategies() {
+    strategyList.textContent = '';
+    navStrategies.forEach((strategy, index) => {
+      const row = document.createElement('div');
+      row.className = 'rule-row';
+
+      const enabled = document.createElement('input');
+      enabled.type = 'checkbox';
+      enabled.id = `strategy-${strategy.id}`;
+      enabled.checked = strategy.enabled;
+      enabled.addEventListener('change', () => { strategy.enabled = enabled.checked; });
+
+      const label = document.createElement('label');
+      label.htmlFor = enabled.id;
+      label.textContent = NAV_STRATEGY_LABELS[strategy.id] || strategy.id;
+
+      const move = (delta, text, aria) => {
+        const btn = document.createElement('button');
+        btn.className = 'btn-ghost';
+        btn.textContent = text;
+        btn.setAttribute('aria-label', t(aria, label.textContent));
+        btn.disabled = !navStrategies[index + delta];
+        btn.addEventListener('click', () => {
+          navStrategies.splice(index + delta, 0, navStrategies.splice(index, 1)[0]);
+          renderStrategies();
+          focusMoveButton(strategyList, index + delta, delta);
+        });
+        return btn;
+      };
+
+      row.append(enabled, label, move(-1, '↑', 'options_moveUp'), move(1, '↓', 'options_moveDown'));
+      strategyList.appendChild(row);
+    });
+  }
+
+  // Rebuild the rules editor from `rules`
+  function renderRules() {
+    rulesList.textContent = '';
+    if (!rules.length) {
+      const empty = document.createElement('div');
+      empty.className = 'empty';
+      empty.textContent = t('options_rulesEmpty');
+      rulesList.appendChild(empty);
+      return;
+    }
+    rules.forEach((rule, index) => {
+      const row = document.createElement('div');
+      row.className = 'rule-row';
+
+      const enabled = document.createElement('input');
+      enabled.type = 'checkbox';
+      enabled.checked = rule.enabled;
+      enabled.title = t('options_ruleEnabled');
+      enabled.setAttribute('aria-label', t('options_ruleEnabled'));
+      enabled.addEventListener('change', () => { rule.enabled = enabled.checked; });
+
+      const field = makeSelect(RULE_FIELDS, rule.field, t('options_ruleField'));
+      field.addEventListener('change', () => {
+        rule.field = field.value;
+        Object.assign(rule, normalizeRule(rule));
+        renderRules();
+      });
+
+      const isNumber = rule.field === 'duration';
+      const match = makeSelect(isNumber ? RULE_NUMBER_MATCHES : RULE_TEXT_MATCHES, rule.match, t('options_ruleMatch'));
+      match.addEventListener('change', () => { rule.match = match.value; });
+
+      const value = document.createElement('input');
+      value.type = isNumber ? 'number' : 'text';
+      value.value = rule.value;
+      value.placeholder = RULE_PLACEHOLDERS[rule.field];
+      value.setAttribute('aria-label', t('options_ruleValue'));
+      value.addEventListener('input', () => { rule.value = value.value; });
+
+      const action = makeSelect(RULE_ACTIONS, rule.action, t('options_ruleAction'));
+      const after = document.createElement('input');
+      after.type = 'number';
+      after.min = '0';
+      after.max = '60';
+      after.value = rule.afterSec;
+      after.setAttribute('aria-label', t('options_ruleAfterSec'));
+      after.hidden = rule.action !== 'skipAfter';
+      action.addEventListener('change', () => {
+        rule.action = action.value;
+        after.hidden = rule.action !== 'skipAfter';
+      });
+      after.addEventListener('input', () => { rule.afterSec = Number(after.value) || 0; });
+
+      const remove = document.createElement('button');
+      remove.className = 'btn-ghost';
+      remove.textContent = t('options_remove');
+      remove.addEventListener('click', () => {
+        rules.splice(index, 1);
+        renderRules();
+        focusAfterRemove(rulesList, index, btnAddRule);
+      });
+
+      row.append(enabled, field, match, value, action, after, remove);
+      rulesList.appendChild(row);
+    });
+  }
+
+  // A list re-render drops focus; put it back on the moved row's button for the same direction
+  // (or the other one once the row reached the top or bottom)
+  function focusMoveButton(list, rowIndex, delta) {
+    const row = list.querySelectorAll('.rule-row')[rowIndex];
+    if (!row) return;
+    const [up, down] = row.querySelectorAll('button');
+    const btn = delta < 0 ? up : down;
+    (btn.disabled ? (delta < 0 ? down : up) : btn).focus();
+  }
+
+  // After removing a row, focus the Remove button that took its place (or the new last one),
+  // else `fallback` when the list is empty
+  function focusAfterRemove(list, rowIndex, fallback) {
+    const rows = list.querySelectorAll('.rule-row');
+    const row = rows[Math.min(rowIndex, rows.length - 1)];
+    const buttons = row ? row.querySelectorAll('button') : [];
+    (buttons.length ? buttons[buttons.length - 1] : fallback).focus();
+  }
+
+  function makeSelect(options, selected, label) {
+    const sel = document.createElement('select');
+    sel.setAttribute('aria-label', label);
+    for (const [val, text] of Object.entries(options)) {
+      const opt = document.createElement('option');
+      opt.value = val;
+      opt.textContent = text;
+      sel.appendChild(opt);
+    }
+    sel.value = selected;
+    return sel;
+  }
+
+  // Screen readers read a field's hint after its label: link them with aria-describedby
+  function describeFields() {
+    for (const label of document.querySelectorAll('.field > label[for]')) {
+      const control = document.getElementById(label.htmlFor);
+      const hint = label.parentElement.querySelector('.controls > .hint');
+      if (!control || !hint) continue;
+      if (!hint.id) hint.id = `${control.id}-hint`;
+      control.setAttribute('aria-describedby', hint.id);
+    }
+  }
+
   // Small helper to show temporary status
   function flashStatus(text, isError = false) {
     statusText.textContent = text;
     statusText.style.color = isError ? 'var(--danger)' : '#111';
     setTimeout(() => {
-      statusText.textContent = 'Ready';
+      statusText.textContent = t('options_statusReady');
       statusText.style.color = '';
     }, 1800);
   }
 });
 
-/* Storage helpers (Promise wrappers) */
-function getStorage(keys) {
-  return new Promise((resolve) => chrome.storage.sync.get(keys, (res) => resolve(res)));
+/* Save an object as a local JSON file download */
+function downloadJson(obj, filename) {
+  downloadText(JSON.stringify(obj, null, 2), filename, 'application/json');
+}
+
+/* Save text (e.g. CSV) as a local file download */
+function downloadText(text, filename, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+/* Watch history helpers */
+// Rejects with the background's error (IndexedDB can fail) rather than looking empty
+function fetchHistory(search, limit) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ action: 'historyQuery', search, limit }, (resp) => {
+      if (resp && resp.ok) resolve(resp.entries);
+      else reject(new Error((resp && resp.error) || chrome.runtime.lastError?.message || 'no response'));
+    });
+  });
+}
+
+function historyToCsv(entries) {
+  const cols = ['at', 'shortId', 'channel', 'title', 'duration', 'percentWatched', 'endedBy'];
+  const esc = (v) => {
+    const str = String(v ?? '');
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  const rows = entries.map(e => cols.map(c => esc(c === 'at' ? new Date(e.at).toISOString() : e[c])).join(','));
+  return [cols.join(','), ...rows].join('\r\n');
+}
+
+/* One diagnostics event per line, e.g. "12:03:04 strategy shortId=abc name=scroll ok=true" */
+function formatDiagEvent(e) {
+  const time = new Date(e.t).toLocaleTimeString();
+  const extra = Object.entries(e)
+    .filter(([k]) => k !== 't' && k !== 'type')
+    .map(([k, v]) => `${k}=${v}`)
+    .join(' ');
+  return `${time} ${e.type} ${extra}`;
+}
+
+/* Selector pack validation: schema shape plus CSS syntax of every selector.
+   Returns a list of human-readable errors (empty when valid). */
+function validateSelectorPack(pack) {
+  const errors = [];
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) return [t('options_packErrObject')];
+  if (pack.schemaVersion !== NextFlowSelectorPack.SCHEMA_VERSION) {
+    errors.push(t('options_packErrSchema', NextFlowSelectorPack.SCHEMA_VERSION));
+  }
+  if (typeof pack.version !== 'string' || !pack.version.trim()) errors.push(t('options_packErrVersion'));
+  if (pack.name != null && typeof pack.name !== 'string') errors.push(t('options_packErrName'));
+  if (!pack.selectors || typeof pack.selectors !== 'object') {
+    errors.push(t('options_packErrSelectors'));
+    return errors;
+  }
+  const probe = document.createDocumentFragment();
+  for (const key of NextFlowSelectorPack.KEYS) {
+    const list = pack.selectors[key];
+    if (!Array.isArray(list)) {
+      errors.push(t('options_packErrArray', `selectors.${key}`));
+      continue;
+    }
+    list.forEach((sel, i) => {
+      if (typeof sel !== 'string' || !sel.trim()) {
+        errors.push(t('options_packErrEmpty', `selectors.${key}[${i}]`));
+        return;
+      }
+      try {
+        probe.querySelector(sel);
+      } catch (e) {
+        errors.push(t('options_packErrCss', `selectors.${key}[${i}]`));
+      }
+    });
+  }
+  return errors;
+}
+
+/* Content rule helpers: keep stored rules in the shape content/shorts.js expects */
+function normalizeRule(rule) {
+  const r = rule && typeof rule === 'object' ? rule : {};
+  const field = r.field in RULE_FIELDS ? r.field : 'channel';
+  const matches = field === 'duration' ? RULE_NUMBER_MATCHES : RULE_TEXT_MATCHES;
+  return {
+    id: r.id || `r${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    enabled: r.enabled !== false,
+    field,
+    match: r.match in matches ? r.match : Object.keys(matches)[0],
+    value: r.value == null ? '' : String(r.value),
+    action: r.action in RULE_ACTIONS ? r.action : 'skip',
+    afterSec: r.afterSec == null || r.afterSec === '' || !isFinite(Number(r.afterSec))
+      ? 3
+      : Math.max(0, Math.min(60, Number(r.afterSec)))
+  };
+}
+function normalizeRules(list) {
+  return Array.isArray(list) ? list.map(normalizeRule) : [];
+}
+
+/* Storage helpers (Promise wrappers); writes reject on chrome.runtime.lastError (e.g. quota) */
+function getStorage(keys, area = 'sync') {
+  return new Promise((resolve) => chrome.storage[area].get(keys, (res) => resolve(res)));
 }
-function setStorage(obj) {
-  return new Promise((resolve) => chrome.storage.sync.set(obj, () => resolve()));
+function setStorage(obj, area = 'sync') {
+  return new Promise((resolve, reject) => chrome.storage[area].set(obj, () => {
+    if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+    else resolve();
+  }));
 }
@@ -1,36 +1,174 @@
 // popup.js - manage UI, chrome.storage and messaging to background
 // NOTE: relative path to chrome APIs assumes this is run as extension popup.
 
-const DEFAULTS = {
-  autoScroll: true,
-  skipAds: false,
-  delayMs: 500
+// Settings defaults/validation: shared/settings.js (loaded before this script)
+const SCHEMA = NextFlowSettings.SCHEMA;
+// UI strings: _locales/<lang>/messages.json through shared/i18n.js
+const { t, plural } = NextFlowI18n;
+
+// Advance policy: which setting the value box edits for each mode, and its hint
+const ADVANCE_VALUES = {
+  end: null,
+  percent: { key: 'advancePercent', min: SCHEMA.advancePercent.min, max: SCHEMA.advancePercent.max, hint: (v) => t('popup_advancePercentHint', v) },
+  maxSeconds: { key: 'advanceMaxSeconds', min: SCHEMA.advanceMaxSeconds.min, max: SCHEMA.advanceMaxSeconds.max, hint: (v) => t('popup_advanceMaxSecondsHint', v) },
+  loops: { key: 'advanceLoops', min: SCHEMA.advanceLoops.min, max: SCHEMA.advanceLoops.max, hint: (v) => plural('popup_advanceLoopsHint', v) },
+  preview: { key: 'previewSeconds', min: SCHEMA.previewSeconds.min, max: SCHEMA.previewSeconds.max, hint: (v) => t('popup_advancePreviewHint', v) }
 };
 
 document.addEventListener('DOMContentLoaded', async () => {
+  NextFlowI18n.localizePage();
+
   // Elements
+  const profileSelect = document.getElementById('profileSelect');
   const toggleAuto = document.getElementById('toggleAuto');
   const toggleSkipAds = document.getElementById('toggleSkipAds');
+  const tabRow = document.getElementById('tabRow');
+  const toggleTab = document.getElementById('toggleTab');
+  const tabHint = document.getElementById('tabHint');
   const delayRange = document.getElementById('delayRange');
   const delayValue = document.getElementById('delayValue');
   const pageStatus = document.getElementById('pageStatus');
   const openOptions = document.getElementById('openOptions');
   const toggleQuick = document.getElementById('toggleQuick');
+  const scheduleHint = document.getElementById('scheduleHint');
+  const networkHint = document.getElementById('networkHint');
+  const advanceMode = document.getElementById('advanceMode');
+  const advanceValue = document.getElementById('advanceValue');
+  const advanceHint = document.getElementById('advanceHint');
+  const resumeRow = document.getElementById('resumeRow');
+  const resumeHint = document.getElementById('resumeHint');
+  const btnResume = document.getElementById('btnResume');
+  const queueHint = document.getElementById('queueHint');
+  const btnQueueSave = document.getElementById('btnQueueSave');
+  const btnQueuePlay = document.getElementById('btnQueuePlay');
+  const btnResetStats = document.getElementById('btnResetStats');
+  const wbSession = document.getElementById('wbSession');
+  const wbDaily = document.getElementById('wbDaily');
+  const sleepStatus = document.getElementById('sleepStatus');
+  const btnSleep = document.getElementById('btnSleep');
 
   // Load settings from chrome.storage
   const stored = await getStorage(['settings']);
-  const settings = stored.settings || DEFAULTS;
+  const settings = NextFlowSettings.normalize(stored.settings);
 
   // Initialize UI
   toggleAuto.checked = Boolean(settings.autoScroll);
   toggleAuto.setAttribute('aria-checked', toggleAuto.checked);
   toggleSkipAds.checked = Boolean(settings.skipAds);
   toggleSkipAds.setAttribute('aria-checked', toggleSkipAds.checked);
-  delayRange.value = settings.delayMs ?? DEFAULTS.delayMs;
-  delayValue.textContent = `${delayRange.value} ms`;
+  delayRange.value = settings.delayMs;
+  renderDelay(delayRange.value, { delayRange, delayValue });
+  let advanceSettings = settings;
+  renderAdvance(advanceSettings, { advanceMode, advanceValue, advanceHint });
+
+  // Update page status (is active tab on a supported feed?)
+  updatePageStatus(pageStatus, settings);
 
-  // Update page status (is active tab youtube short?)
-  updatePageStatus(pageStatus);
+  // Profiles: background copies the chosen one into `settings`; the storage listener below redraws
+  chrome.runtime.sendMessage({ action: 'getProfiles' }, (resp) => {
+    if (resp && resp.profiles) renderProfiles(resp.profiles, profileSelect);
+  });
+  profileSelect.addEventListener('change', () => {
+    chrome.runtime.sendMessage({ action: 'setActiveProfile', id: profileSelect.value }, (resp) => {
+      if (resp && resp.profiles) renderProfiles(resp.profiles, profileSelect);
+    });
+  });
+
+  // Network policy: say why auto-advance is held back on this connection (same device as the tab)
+  let networkSettings = settings;
+  renderNetwork(networkSettings, networkHint);
+  const connection = NextFlowNetwork.connection();
+  if (connection) connection.addEventListener('change', () => renderNetwork(networkSettings, networkHint));
+
+  // Schedule: say whether it is holding auto-scroll and when that changes next
+  chrome.runtime.sendMessage({ action: 'getScheduleStatus' }, (resp) => {
+    if (!resp || !resp.ok || !resp.enabled) return;
+    scheduleHint.textContent = describeSchedule(resp);
+    scheduleHint.hidden = false;
+  });
+
+  // Per-tab pause ("this tab only"), shown when the active tab is on a supported site
+  const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (activeTab && NextFlowSites.siteForUrl(activeTab.url || '')) {
+    chrome.runtime.sendMessage({ action: 'getTabState', tabId: activeTab.id }, (resp) => {
+      if (!resp || !resp.state) return;
+      renderTabState(resp.state, { toggleTab, tabHint });
+      tabRow.hidden = false;
+    });
+    toggleTab.addEventListener('change', () => {
+      const paused = toggleTab.checked;
+      toggleTab.setAttribute('aria-checked', paused);
+      chrome.runtime.sendMessage({ action: 'setTabPaused', tabId: activeTab.id, paused }, (resp) => {
+        if (resp && resp.state) renderTabState(resp.state, { toggleTab, tabHint });
+      });
+    });
+  }
+
+  // "Resume where I left off": last Short from a previous session (needs watch history on)
+  chrome.runtime.sendMessage({ action: 'historyLastPrevious' }, (resp) => {
+    const entry = resp && resp.entry;
+    if (!entry) return;
+    const who = entry.channel ? ` · ${entry.channel}` : '';
+    resumeHint.textContent = `${entry.title || entry.shortId}${who}`;
+    resumeRow.hidden = false;
+  });
+  btnResume.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'historyResume' }, () => window.close());
+  });
+
+  // Watch queue: save the Short in the active tab, start/stop queue playback
+  let queue = null;
+  const showQueue = (q) => {
+    queue = q;
+    renderQueue(q, { queueHint, btnQueuePlay });
+  };
+  chrome.runtime.sendMessage({ action: 'getQueue' }, (resp) => {
+    if (resp && resp.queue) showQueue(resp.queue);
+  });
+  btnQueueSave.disabled = !(activeTab && NextFlowSites.feedSiteForUrl(activeTab.url || ''));
+  btnQueueSave.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'queueSaveTab', tabId: activeTab && activeTab.id }, (resp) => {
+      if (resp && resp.queue) showQueue(resp.queue);
+      queueHint.textContent = !resp || !resp.ok
+        ? t('popup_queueNoShort')
+        : resp.added ? t('popup_queueSaved') : t('page_queueAlready');
+    });
+  });
+  btnQueuePlay.addEventListener('click', () => {
+    const playing = !(queue && queue.playing);
+    chrome.runtime.sendMessage({ action: 'queuePlay', playing }, (resp) => {
+      if (resp && resp.queue) showQueue(resp.queue);
+    });
+  });
+
+  // Usage statistics (today / last 7 days)
+  const refreshStats = () => {
+    chrome.runtime.sendMessage({ action: 'getStats' }, (resp) => {
+      if (resp && resp.stats) renderStats(resp.stats);
+    });
+  };
+  refreshStats();
+  btnResetStats.addEventListener('click', () => {
+    if (!confirm(t('popup_statsResetConfirm'))) return;
+    chrome.runtime.sendMessage({ action: 'resetStats' }, () => refreshStats());
+  });
+
+  // Wellbeing counters & sleep timer (refresh while the popup is open)
+  let wellbeing = null;
+  const refreshWellbeing = () => {
+    chrome.runtime.sendMessage({ action: 'getWellbeing' }, (resp) => {
+      if (!resp || !resp.status) return;
+      wellbeing = resp.status;
+      renderWellbeing(wellbeing, { wbSession, wbDaily, sleepStatus, btnSleep });
+    });
+  };
+  refreshWellbeing();
+  setInterval(refreshWellbeing, 15000);
+
+  btnSleep.addEventListener('click', () => {
+    const action = wellbeing && wellbeing.sleepAt ? 'cancelSleepTimer' : 'startSleepTimer';
+    chrome.runtime.sendMessage({ action }, () => refreshWellbeing());
+  });
 
   // Event listeners - save on change (immediate save)
   toggleAuto.addEventListener('change', () => {
@@ -46,7 +184,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
 
   delayRange.addEventListener('input', () => {
-    delayValue.textContent = `${delayRange.value} ms`;
+    renderDelay(delayRange.value, { delayRange, delayValue });
   });
 
   delayRange.addEventListener('change', () => {
@@ -54,6 +192,21 @@ document.addEventListener('DOMContentLoaded', async () => {
     saveSettingsAndNotify({ delayMs: val });
   });
 
+  advanceMode.addEventListener('change', () => {
+    advanceSettings.advanceMode = advanceMode.value;
+    renderAdvance(advanceSettings, { advanceMode, advanceValue, advanceHint });
+    saveSettingsAndNotify({ advanceMode: advanceMode.value });
+  });
+
+  advanceValue.addEventListener('change', () => {
+    const spec = ADVANCE_VALUES[advanceMode.value];
+    if (!spec) return;
+    const val = Math.min(spec.max, Math.max(spec.min, Math.round(Number(advanceValue.value) || 0)));
+    advanceSettings[spec.key] = val;
+    renderAdvance(advanceSettings, { advanceMode, advanceValue, advanceHint });
+    saveSettingsAndNotify({ [spec.key]: val });
+  });
+
   openOptions.addEventListener('click', () => {
     // Open options page
     if (chrome.runtime.openOptionsPage) chrome.runtime.openOptionsPage();
@@ -71,6 +224,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Listen for storage updates from other contexts
   chrome.storage.onChanged.addListener((changes, area) => {
     if (area === 'sync' || area === 'local') {
+      if (changes.profiles && changes.profiles.newValue) {
+        renderProfiles(NextFlowSettings.normalizeProfiles(changes.profiles.newValue), profileSelect);
+      }
       if (changes.settings) {
         const newS = changes.settings.newValue;
         // update UI if different
@@ -84,8 +240,14 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
         if (typeof newS.delayMs === 'number') {
           delayRange.value = newS.delayMs;
-          delayValue.textContent = `${newS.delayMs} ms`;
+          renderDelay(newS.delayMs, { delayRange, delayValue });
+        }
+        if (typeof newS.advanceMode === 'string') {
+          advanceSettings = NextFlowSettings.normalize(newS);
+          renderAdvance(advanceSettings, { advanceMode, advanceValue, advanceHint });
         }
+        networkSettings = NextFlowSettings.normalize(newS);
+        renderNetwork(networkSettings, networkHint);
       }
     }
   });
@@ -110,8 +272,7 @@ function setStorage(obj) {
 async function saveSettingsAndNotify(patch) {
   // Merge with current settings
   const data = await getStorage(['settings']);
-  const current = data.settings || {};
-  const next = Object.assign({}, DEFAULTS, current, patch);
+  const next = NextFlowSettings.normalize(Object.assign({}, data.settings, patch));
   await setStorage({ settings: next });
 
   // Notify background / content scripts about updated settings
@@ -122,27 +283,178 @@ async function saveSettingsAndNotify(patch) {
   });
 }
 
+/* Fill the profile dropdown and select the active profile */
+function renderProfiles(profiles, select) {
+  select.textContent = '';
+  for (const p of profiles.items) {
+    const opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = p.name;
+    select.appendChild(opt);
+  }
+  select.value = profiles.activeId;
+}
+
+/* Delay slider: the visible value, also spoken by screen readers ("500 ms" rather than "500") */
+function renderDelay(ms, els) {
+  els.delayValue.textContent = t('common_ms', ms);
+  els.delayRange.setAttribute('aria-valuetext', els.delayValue.textContent);
+}
+
+/* Show the advance mode and the value box that mode uses */
+function renderAdvance(s, els) {
+  const mode = ADVANCE_VALUES.hasOwnProperty(s.advanceMode) ? s.advanceMode : 'end';
+  const spec = ADVANCE_VALUES[mode];
+  els.advanceMode.value = mode;
+  els.advanceValue.hidden = !spec;
+  if (spec) {
+    els.advanceValue.min = spec.min;
+    els.advanceValue.max = spec.max;
+    els.advanceValue.value = s[spec.key];
+    els.advanceHint.textContent = spec.hint(s[spec.key]);
+  } else {
+    els.advanceHint.textContent = t('popup_advanceEndHint');
+  }
+}
+
+/* Why auto-scroll is held on this connection; hidden while the network allows it */
+function renderNetwork(settings, el) {
+  const result = NextFlowNetwork.evaluate(NextFlowNetwork.connection(), settings);
+  el.textContent = result.allowed ? '' : t('popup_networkHeld', result.reason);
+  el.hidden = result.allowed;
+}
+
+function renderQueue(queue, els) {
+  const count = queue.items.length;
+  els.queueHint.textContent = !count
+    ? t('popup_queueEmpty')
+    : [plural('popup_queueCount', count)].concat(queue.playing ? t('popup_queuePlaying') : []).join(' · ');
+  els.btnQueuePlay.disabled = !count;
+  els.btnQueuePlay.textContent = queue.playing ? t('popup_queueStop') : t('popup_queuePlay');
+  els.btnQueuePlay.setAttribute('aria-pressed', String(queue.playing));
+}
+
+/* "Schedule: on until Fri 23:00" / "Schedule: paused until Mon 18:00" */
+function describeSchedule(status) {
+  if (!status.nextChange) return t(status.allowed ? 'popup_scheduleOn' : 'popup_schedulePaused');
+  const when = new Date(status.nextChange);
+  const sameDay = when.toDateString() === new Date().toDateString();
+  const time = when.toLocaleTimeString(NextFlowI18n.lang(), { hour: '2-digit', minute: '2-digit' });
+  const day = sameDay ? '' : `${when.toLocaleDateString(NextFlowI18n.lang(), { weekday: 'short' })} `;
+  return t(status.allowed ? 'popup_scheduleOnUntil' : 'popup_schedulePausedUntil', `${day}${time}`);
+}
+
+/* Per-tab state: paused switch plus a short summary */
+function renderTabState(state, els) {
+  els.toggleTab.checked = !!state.paused;
+  els.toggleTab.setAttribute('aria-checked', !!state.paused);
+  const parts = [plural('popup_tabAdvanced', state.advanced)];
+  if (state.lastError) parts.push(t('popup_tabLastError', state.lastError));
+  els.tabHint.textContent = parts.join(' · ');
+}
+
+/* Statistics panel */
+const STRATEGY_LABELS = {
+  skipAd: t('popup_strategySkipAd'),
+  queue: t('popup_strategyQueue'),
+  playerNext: t('popup_strategyPlayerNext'),
+  nextLink: t('popup_strategyNextLink'),
+  scroll: t('popup_strategyScroll')
+};
+
+function formatDuration(ms) {
+  const totalMin = Math.floor(ms / 60000);
+  if (totalMin < 1) return t('popup_durationSeconds', Math.floor(ms / 1000));
+  const h = Math.floor(totalMin / 60);
+  const m = totalMin % 60;
+  return h ? t('popup_durationHours', [h, String(m).padStart(2, '0')]) : t('popup_durationMinutes', m);
+}
+
+function renderStats(stats) {
+  const set = (id, text) => { document.getElementById(id).textContent = text; };
+  set('statTodayAdvanced', stats.today.advanced);
+  set('statWeekAdvanced', stats.week.advanced);
+  set('statTodayWatch', formatDuration(stats.today.watchMs));
+  set('statWeekWatch', formatDuration(stats.week.watchMs));
+  set('statTodayAds', formatDuration(stats.today.adWaitMs));
+  set('statWeekAds', formatDuration(stats.week.adWaitMs));
+
+  const used = Object.entries(stats.week.strategies)
+    .filter(([, n]) => n > 0)
+    .sort((a, b) => b[1] - a[1])
+    .map(([k, n]) => `${STRATEGY_LABELS[k] || k} ${n}`);
+  set('statStrategies', t('popup_strategies', used.length ? used.join(' · ') : t('popup_strategiesNone')));
+
+  renderSparkline(document.getElementById('statsSpark'), stats.series.map(d => d.advanced));
+}
+
+// Tiny polyline of daily counts inside a 70x20 viewBox
+function renderSparkline(svg, values) {
+  const ns = 'http://www.w3.org/2000/svg';
+  const w = 70, h = 20, pad = 2;
+  const max = Math.max(1, ...values);
+  const step = values.length > 1 ? (w - pad * 2) / (values.length - 1) : 0;
+  const pts = values.map((v, i) => [pad + i * step, h - pad - (v / max) * (h - pad * 2)]);
+  svg.textContent = '';
+  const line = document.createElementNS(ns, 'polyline');
+  line.setAttribute('points', pts.map(p => p.map(n => n.toFixed(1)).join(',')).join(' '));
+  svg.appendChild(line);
+  const last = pts[pts.length - 1];
+  if (last) {
+    const dot = document.createElementNS(ns, 'circle');
+    dot.setAttribute('cx', last[0].toFixed(1));
+    dot.setAttribute('cy', last[1].toFixed(1));
+    dot.setAttribute('r', '1.8');
+    svg.appendChild(dot);
+  }
+  svg.setAttribute('aria-label', t('popup_sparkValues', values.join(', ')));
+}
+
+/* Render wellbeing status from background's getWellbeing */
+function renderWellbeing(status, els) {
+  const { limits } = status;
+  const of = (n, max) => (max > 0 ? `${n} / ${max}` : `${n}`);
+  const session = [t('popup_wbSession', [of(status.sessionShorts, limits.sessionMaxShorts), of(status.sessionMinutes, limits.sessionMaxMinutes)])];
+  if (status.limit && status.limit !== 'daily') session.push(t('popup_wbLimitReached'));
+  els.wbSession.textContent = session.join(' · ');
+  const daily = [t('popup_wbDaily', of(status.dailyShorts, limits.dailyMaxShorts))];
+  if (status.limit === 'daily') daily.push(t('popup_wbCapReached'));
+  els.wbDaily.textContent = daily.join(' · ');
+
+  if (status.sleepAt) {
+    const mins = Math.max(1, Math.ceil((status.sleepAt - Date.now()) / 60000));
+    els.sleepStatus.textContent = t('popup_sleepPausingIn', mins);
+    els.btnSleep.textContent = t('popup_sleepCancel');
+  } else {
+    els.sleepStatus.textContent = t('popup_sleepOff');
+    els.btnSleep.textContent = t('popup_sleepStart');
+  }
+}
+
 /* Update pageStatus text by checking active tab URL (requires activeTab permission) */
-function updatePageStatus(el) {
+function updatePageStatus(el, settings) {
   try {
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
       if (!tabs || !tabs.length) {
-        el.textContent = 'No active tab';
+        el.textContent = t('popup_statusNoTab');
         return;
       }
       const tab = tabs[0];
       const url = tab.url || '';
-      if (/^(https?:\/\/)?(www\.)?youtube\.com\/shorts/i.test(url) || /\/shorts\//i.test(url)) {
-        el.textContent = 'On YouTube Shorts';
+      const site = NextFlowSites.siteForUrl(url);
+      if (!site) {
+        el.textContent = t('popup_statusUnsupported');
+      } else if (!NextFlowSites.siteEnabled(site, settings)) {
+        el.textContent = t('popup_statusSiteOff', site.name);
+      } else if (NextFlowSites.feedSiteForUrl(url)) {
+        el.textContent = t('popup_statusOnSite', site.name);
         el.style.background = 'linear-gradient(90deg,var(--accent1-start),var(--accent1-end))';
         el.style.color = '#fff';
-      } else if (/youtube\.com/i.test(url)) {
-        el.textContent = 'On YouTube (not Shorts)';
       } else {
-        el.textContent = 'Not on YouTube';
+        el.textContent = t('popup_statusNotFeed', site.name.split(' ')[0]);
       }
     });
   } catch (err) {
-    el.textContent = 'Status unknown';
+    el.textContent = t('popup_statusUnknown');
   }
 }
@@ -0,0 +1,60 @@
+// shared/i18n.js - UI strings from _locales/<lang>/messages.json via chrome.i18n
+// - t(key, subs): the message with $1..$9 filled in from `subs` (the key itself if no catalog has it)
+// - plural(key, n, subs): `<key>_<category>` for n (Intl.PluralRules), else `<key>_other`; $1 is n
+// - localizePage(root): fills [data-i18n] text and [data-i18n-title|placeholder|aria-label]
+//   attributes, and sets lang/dir on <html>
+// - lang() / dir(): language and text direction of the catalog actually in use. Each catalog
+//   declares its own ("locale_code", "text_direction"), so a right-to-left browser without a
+//   matching catalog still gets the English fallback laid out left-to-right.
+// Loaded as a classic script in every context (background, content, popup, options); exposes `NextFlowI18n`.
+
+(function (global) {
+  const i18n = global.chrome && global.chrome.i18n;
+
+  function message(key, subs) {
+    if (!i18n) return '';
+    const args = subs == null ? undefined : [].concat(subs).map(String);
+    return i18n.getMessage(key, args) || '';
+  }
+
+  function t(key, subs) {
+    return message(key, subs) || key;
+  }
+
+  function lang() {
+    return message('locale_code') || 'en';
+  }
+
+  function dir() {
+    return message('text_direction') === 'rtl' ? 'rtl' : 'ltr';
+  }
+
+  let pluralRules = null;
+  function plural(key, n, subs) {
+    if (!pluralRules) pluralRules = new Intl.PluralRules(lang());
+    const args = [n].concat(subs == null ? [] : subs);
+    return message(`${key}_${pluralRules.select(n)}`, args) || message(`${key}_other`, args) || key;
+  }
+
+  const ATTRIBUTES = ['title', 'placeholder', 'aria-label'];
+
+  function localizePage(root = document) {
+    for (const el of root.querySelectorAll('[data-i18n]')) el.textContent = t(el.dataset.i18n);
+    for (const attr of ATTRIBUTES) {
+      for (const el of root.querySelectorAll(`[data-i18n-${attr}]`)) {
+        el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+      }
+    }
+    const html = (root.ownerDocument || root).documentElement;
+    html.lang = lang();
+    html.dir = dir();
+  }
+
+  global.NextFlowI18n = Object.freeze({
+    t,
+    plural,
+    lang,
+    dir,
+    localizePage
+  });
+})(typeof globalThis !== 'undefined' ? globalThis : self);
@@ -0,0 +1,63 @@
+// shared/network.js - network policy for auto-advance
+// - Reads the Network Information API (navigator.connection): type, saveData, downlink, rtt
+// - "Only on Wi-Fi" uses connection.type; when the browser doesn't report it (desktop Chrome),
+//   the `networkUnknown` setting decides instead of silently allowing
+// - Optional Save-Data, minimum bandwidth and maximum round-trip thresholds
+// Loaded as a classic script before content/shorts.js and in the popup, after shared/i18n.js
+// (reasons are localized); exposes `NextFlowNetwork`.
+
+(function (global) {
+  // connection.type values treated as unmetered / metered; anything else is "unknown"
+  const UNMETERED_TYPES = ['wifi', 'ethernet', 'wimax'];
+  const METERED_TYPES = ['cellular', 'bluetooth'];
+
+  function connection() {
+    const nav = global.navigator;
+    return (nav && (nav.connection || nav.mozConnection || nav.webkitConnection)) || null;
+  }
+
+  function allow() {
+    return { allowed: true, code: null, reason: null };
+  }
+
+  // `code` picks the message "network_<code>"
+  function hold(code, subs) {
+    return { allowed: false, code, reason: global.NextFlowI18n.t(`network_${code}`, subs) };
+  }
+
+  // Whether auto-advance may run on `conn` under `settings`: { allowed, code, reason }.
+  // `reason` is a short sentence for the popup and the in-page controls.
+  function evaluate(conn, settings) {
+    const s = settings || {};
+    if (!conn) {
+      // No Network Information API at all: only "Only on Wi-Fi" cares
+      return s.onlyOnWifi && s.networkUnknown === 'hold'
+        ? hold('unknown')
+        : allow();
+    }
+
+    if (conn.type === 'none') return hold('offline');
+    if (s.respectSaveData && conn.saveData) return hold('saveData');
+
+    if (s.onlyOnWifi && !UNMETERED_TYPES.includes(conn.type)) {
+      if (METERED_TYPES.includes(conn.type)) return hold('metered');
+      if (s.networkUnknown === 'hold') return hold('unknown');
+    }
+
+    // 0 means the browser has no estimate yet; don't hold on that
+    if (s.minDownlinkMbps > 0 && conn.downlink > 0 && conn.downlink < s.minDownlinkMbps) {
+      return hold('slow', s.minDownlinkMbps);
+    }
+    if (s.maxRttMs > 0 && conn.rtt > 0 && conn.rtt > s.maxRttMs) {
+      return hold('latency', s.maxRttMs);
+    }
+    return allow();
+  }
+
+  global.NextFlowNetwork = Object.freeze({
+    UNMETERED_TYPES,
+    METERED_TYPES,
+    connection,
+    evaluate
+  });
+})(typeof globalThis !== 'undefined' ? globalThis : self);
@@ -0,0 +1,83 @@
+// shared/schedule.js - weekly time-of-day schedules for auto-scroll
+// - { enabled, mode: 'allow' | 'block', windows: [{ days: [0..6] (0 = Sunday), start: 'HH:MM', end: 'HH:MM' }] }
+// - 'allow': auto-scroll only inside a window. 'block': never inside a window.
+// - A window whose end is before its start runs past midnight into the next day
+// - Only an enabled schedule with at least one window applies (see isActive)
+// Loaded as a classic script in background.js (evaluation, alarms) and options (editor);
+// exposes `NextFlowSchedule`.
+
+(function (global) {
+  const DEFAULT_SCHEDULE = Object.freeze({ enabled: false, mode: 'allow', windows: Object.freeze([]) });
+
+  // Keep stored windows valid ("HH:MM", days 0-6, at least one day)
+  function normalize(raw) {
+    const src = Object.assign({}, DEFAULT_SCHEDULE, raw && typeof raw === 'object' ? raw : {});
+    const time = (v, fallback) => (/^\d{2}:\d{2}$/.test(v) ? v : fallback);
+    const windows = (Array.isArray(src.windows) ? src.windows : [])
+      .map(w => ({
+        days: Array.isArray(w && w.days) ? [...new Set(w.days.map(Number).filter(d => d >= 0 && d <= 6))].sort() : [],
+        start: time(w && w.start, '00:00'),
+        end: time(w && w.end, '00:00')
+      }))
+      .filter(w => w.days.length);
+    return { enabled: !!src.enabled, mode: src.mode === 'block' ? 'block' : 'allow', windows };
+  }
+
+  function minutesOfDay(hhmm) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm || ''));
+    return m ? Math.min(24 * 60, Number(m[1]) * 60 + Number(m[2])) : 0;
+  }
+
+  function inWindow(win, date) {
+    if (!win || !Array.isArray(win.days)) return false;
+    const start = minutesOfDay(win.start);
+    const end = minutesOfDay(win.end);
+    const day = date.getDay();
+    const mins = date.getHours() * 60 + date.getMinutes();
+    if (start === end) return false;
+    if (start < end) return win.days.includes(day) && mins >= start && mins < end;
+    // overnight: [start, 24:00) on a listed day, [00:00, end) on the following day
+    const prevDay = (day + 6) % 7;
+    return (win.days.includes(day) && mins >= start) || (win.days.includes(prevDay) && mins < end);
+  }
+
+  // Only an enabled schedule with windows applies; an 'allow' one without windows would hold forever
+  function isActive(schedule) {
+    return !!(schedule && schedule.enabled && (schedule.windows || []).length);
+  }
+
+  // Does the schedule let auto-scroll run at `date`?
+  function allows(schedule, date = new Date()) {
+    if (!isActive(schedule)) return true;
+    const inside = schedule.windows.some(w => inWindow(w, date));
+    return schedule.mode === 'block' ? !inside : inside;
+  }
+
+  // Next moment the schedule flips between allow and hold (within a week), or null
+  function nextChange(schedule, from = new Date()) {
+    if (!isActive(schedule)) return null;
+    const current = allows(schedule, from);
+    const boundaries = [];
+    for (let offset = 0; offset <= 8; offset++) {
+      for (const w of schedule.windows) {
+        for (const hhmm of [w.start, w.end]) {
+          const d = new Date(from);
+          d.setDate(d.getDate() + offset);
+          const mins = minutesOfDay(hhmm);
+          d.setHours(Math.floor(mins / 60), mins % 60, 0, 0);
+          if (d > from) boundaries.push(d);
+        }
+      }
+    }
+    boundaries.sort((a, b) => a - b);
+    return boundaries.find(d => allows(schedule, d) !== current) || null;
+  }
+
+  global.NextFlowSchedule = Object.freeze({
+    DEFAULT_SCHEDULE,
+    normalize,
+    isActive,
+    allows,
+    nextChange
+  });
+})(typeof globalThis !== 'undefined' ? globalThis : self);
@@ -0,0 +1,15 @@
+// shared/selector-pack.js - shape of a selector pack (bundled content/selectors.json or imported)
+// - SCHEMA_VERSION: the `schemaVersion` a pack must declare
+// - KEYS: the `selectors` lists every pack provides (arrays of CSS selectors)
+// Loaded as a classic script in background.js (structural check) and options (import validation);
+// exposes `NextFlowSelectorPack`.
+
+(function (global) {
+  const SCHEMA_VERSION = 1;
+  const KEYS = Object.freeze(['adIndicators', 'adBadge', 'skipButton', 'playerNext', 'nextShortLink']);
+
+  global.NextFlowSelectorPack = Object.freeze({
+    SCHEMA_VERSION,
+    KEYS
+  });
+})(typeof globalThis !== 'undefined' ? globalThis : self);
@@ -0,0 +1,237 @@
+// shared/settings.js - single source of truth for NextFlow settings
+// - Typed schema with defaults and ranges; every context normalizes through it
+// - `schemaVersion` + migration steps (run by background.js on install/update)
+// - Named profiles: `profiles` in local storage holds full settings objects; `settings` (sync)
+//   mirrors the active one
+// - Hotkey combos: comboFromEvent() builds the stored format ("Shift+A") from a key event
+// Loaded as a classic script everywhere: importScripts() in background.js, listed before
+// content/shorts.js in the manifest, and via <script> in popup/options.
+// Exposes `NextFlowSettings` on the global object.
+
+(function (global) {
+  const SCHEMA_VERSION = 1;
+
+  const HOTKEY_DEFAULTS = {
+    toggleAutoScroll: 'Shift+A',
+    nextShortNow: 'Shift+X',
+    holdCurrentShort: 'Shift+H',
+    delayUp: 'Shift+BracketRight',
+    delayDown: 'Shift+BracketLeft'
+  };
+
+  // How far the delay hotkeys and shortcuts move delayMs
+  const DELAY_STEP_MS = 250;
+
+  // Build a combo string like "Shift+A" / "Alt+Shift+BracketRight" from a key event
+  // ('' for a lone modifier). Options records combos with it, content matches against them.
+  function comboFromEvent(e) {
+    const parts = [];
+    if (e.ctrlKey) parts.push('Ctrl');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey) parts.push('Shift');
+    if (e.metaKey) parts.push('Meta');
+    const code = e.code || '';
+    const key = code.startsWith('Key') ? code.slice(3) : code.startsWith('Digit') ? code.slice(5) : code;
+    if (!key || /^(Control|Alt|Shift|Meta)(Left|Right)?$/.test(key)) return '';
+    parts.push(key);
+    return parts.join('+');
+  }
+
+  // type: 'boolean' | 'number' (min/max, integer) | 'enum' (values) | 'hotkeys' |
+  //       'strategies' (ordered [{ id, enabled }], one entry per default id)
+  const SCHEMA = {
+    autoScroll: { type: 'boolean', default: true },
+    skipAds: { type: 'boolean', default: false },
+    delayMs: { type: 'number', default: 500, min: 0, max: 15000, integer: true },
+    onlyOnWifi: { type: 'boolean', default: false },
+    pauseOnUnskippableAds: { type: 'boolean', default: true },
+
+    // Network policy (shared/network.js); thresholds 0 = off. networkUnknown applies when
+    // onlyOnWifi is on but the browser doesn't report the connection type
+    networkUnknown: { type: 'enum', default: 'hold', values: ['hold', 'allow'] },
+    respectSaveData: { type: 'boolean', default: true },
+    minDownlinkMbps: { type: 'number', default: 0, min: 0, max: 100 },
+    maxRttMs: { type: 'number', default: 0, min: 0, max: 5000, integer: true },
+
+    // Supported sites (shared/sites.js); YouTube Shorts on, the others opt-in
+    siteYouTube: { type: 'boolean', default: true },
+    siteInstagram: { type: 'boolean', default: false },
+    siteTikTok: { type: 'boolean', default: false },
+
+    // Wellbeing limits (0 = off)
+    sessionMaxShorts: { type: 'number', default: 0, min: 0, max: 1000, integer: true },
+    sessionMaxMinutes: { type: 'number', default: 0, min: 0, max: 600, integer: true },
+    dailyMaxShorts: { type: 'number', default: 0, min: 0, max: 5000, integer: true },
+    breakEveryShorts: { type: 'number', default: 0, min: 0, max: 500, integer: true },
+    sleepTimerMinutes: { type: 'number', default: 30, min: 1, max: 240, integer: true },
+
+    // Advance policy
+    advanceMode: { type: 'enum', default: 'end', values: ['end', 'percent', 'maxSeconds', 'loops', 'preview'] },
+    advancePercent: { type: 'number', default: 98, min: 1, max: 100, integer: true },
+    advanceMaxSeconds: { type: 'number', default: 30, min: 1, max: 180, integer: true },
+    advanceLoops: { type: 'number', default: 1, min: 0, max: 20, integer: true },
+    previewSeconds: { type: 'number', default: 5, min: 1, max: 60, integer: true },
+
+    // "Next" strategies in the order tried (skipping an ad always comes first)
+    navStrategies: {
+      type: 'strategies',
+      default: [
+        { id: 'playerNext', enabled: true },
+        { id: 'nextLink', enabled: true },
+        { id: 'scroll', enabled: true }
+      ]
+    },
+
+    // Presence: hold auto-advance while nobody is watching (idleHoldMinutes 0 = off)
+    holdWhenHidden: { type: 'boolean', default: true },
+    holdWhenUnfocused: { type: 'boolean', default: false },
+    idleHoldMinutes: { type: 'number', default: 0, min: 0, max: 120, integer: true },
+
+    // In-page HUD (countdown + controls over the player)
+    hudEnabled: { type: 'boolean', default: true },
+    hudPosition: { type: 'enum', default: 'top-right', values: ['top-left', 'top-right', 'bottom-left', 'bottom-right'] },
+
+    // Accessibility mode: screen-reader announcements of each new Short, instant feed scrolling
+    accessibilityMode: { type: 'boolean', default: false },
+
+    // Skip already-seen Shorts: IDs watched past seenPercent, kept for seenRetentionDays
+    skipSeen: { type: 'boolean', default: false },
+    seenPercent: { type: 'number', default: 50, min: 10, max: 100, integer: true },
+    seenRetentionDays: { type: 'number', default: 30, min: 1, max: 365, integer: true },
+
+    // Local watch history (IndexedDB) is opt-in
+    historyEnabled: { type: 'boolean', default: false },
+
+    // In-page hotkeys (global ones use chrome.commands)
+    inPageHotkeys: { type: 'boolean', default: false },
+    hotkeys: { type: 'hotkeys', default: HOTKEY_DEFAULTS }
+  };
+
+  // Each step takes settings at version N-1 and returns them at version N.
+  // normalize() runs afterwards, so steps only handle renames/reshaping.
+  const MIGRATIONS = {
+    // 0 -> 1: pre-schema settings. Older popup saves dropped onlyOnWifi and
+    // pauseOnUnskippableAds, and delayMs could be outside 0-15000; normalize() fills
+    // and clamps those, so there is nothing to reshape here.
+    1: (s) => s
+  };
+
+  function cloneDefault(spec) {
+    if (spec.type === 'hotkeys') return Object.assign({}, spec.default);
+    if (spec.type === 'strategies') return spec.default.map(s => Object.assign({}, s));
+    return spec.default;
+  }
+
+  function normalizeValue(spec, value) {
+    switch (spec.type) {
+      case 'boolean':
+        return typeof value === 'boolean' ? value : spec.default;
+      case 'number': {
+        let n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof n !== 'number' || !isFinite(n)) return spec.default;
+        if (spec.integer) n = Math.round(n);
+        return Math.max(spec.min, Math.min(spec.max, n));
+      }
+      case 'enum':
+        return spec.values.includes(value) ? value : spec.default;
+      case 'hotkeys': {
+        const out = {};
+        const src = value && typeof value === 'object' ? value : {};
+        for (const name of Object.keys(spec.default)) {
+          out[name] = typeof src[name] === 'string' ? src[name] : spec.default[name];
+        }
+        return out;
+      }
+      case 'strategies': {
+        // Known ids once each, in the stored order; ids missing from it are appended enabled
+        const out = [];
+        for (const item of Array.isArray(value) ? value : []) {
+          if (!item || !spec.default.some(s => s.id === item.id) || out.some(s => s.id === item.id)) continue;
+          out.push({ id: item.id, enabled: item.enabled !== false });
+        }
+        for (const s of spec.default) {
+          if (!out.some(o => o.id === s.id)) out.push(Object.assign({}, s));
+        }
+        return out;
+      }
+      default:
+        return spec.default;
+    }
+  }
+
+  // Full, valid settings object from anything (missing/invalid keys -> defaults,
+  // numbers clamped to range, unknown keys dropped)
+  function normalize(raw) {
+    const src = raw && typeof raw === 'object' ? raw : {};
+    const out = { schemaVersion: SCHEMA_VERSION };
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+      out[key] = key in src ? normalizeValue(spec, src[key]) : cloneDefault(spec);
+    }
+    return out;
+  }
+
+  // Bring stored settings up to SCHEMA_VERSION. Returns { settings, from }.
+  function migrate(stored) {
+    let s = stored && typeof stored === 'object' ? Object.assign({}, stored) : {};
+    const from = Number(s.schemaVersion) || 0;
+    for (let v = from + 1; v <= SCHEMA_VERSION; v++) {
+      if (MIGRATIONS[v]) s = MIGRATIONS[v](s);
+    }
+    return { settings: normalize(s), from };
+  }
+
+  // Profiles: { activeId, items: [{ id, name, settings }] }. Every profile is a whole settings
+  // object (~1 KB), so ten exceed chrome.storage.sync's 8 KB per-item quota: they are kept in
+  // chrome.storage.local, and only the active profile's `settings` mirror syncs.
+  const MAX_PROFILES = 10;
+  const PROFILE_NAME_MAX = 40;
+
+  function newProfileId() {
+    return `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  // Valid profiles from anything. `currentSettings` is the `settings` mirror: every settings
+  // writer updates it first, so it wins for the active profile. Without stored profiles it
+  // becomes a single "Default" profile (first run after upgrading). Fallback names use the UI
+  // language; shared/i18n.js loads after this file but before anything calls it.
+  function normalizeProfiles(raw, currentSettings) {
+    const src = raw && typeof raw === 'object' && Array.isArray(raw.items) ? raw : { items: [] };
+    const seen = new Set();
+    const items = [];
+    for (const item of src.items) {
+      if (!item || typeof item !== 'object' || items.length >= MAX_PROFILES) continue;
+      let id = typeof item.id === 'string' && item.id ? item.id : newProfileId();
+      if (seen.has(id)) id = newProfileId();
+      seen.add(id);
+      const name = String(item.name || '').trim().slice(0, PROFILE_NAME_MAX) || global.NextFlowI18n.t('common_profileNumbered', items.length + 1);
+      items.push({ id, name, settings: migrate(item.settings).settings });
+    }
+    if (!items.length) items.push({ id: 'default', name: global.NextFlowI18n.t('common_defaultProfile'), settings: null });
+    const activeId = items.some(p => p.id === src.activeId) ? src.activeId : items[0].id;
+    const active = items.find(p => p.id === activeId);
+    if (currentSettings || !active.settings) active.settings = migrate(currentSettings).settings;
+    return { activeId, items };
+  }
+
+  function activeProfile(profiles) {
+    return profiles.items.find(p => p.id === profiles.activeId) || profiles.items[0];
+  }
+
+  const DEFAULTS = normalize({});
+  Object.freeze(DEFAULTS.hotkeys);
+
+  global.NextFlowSettings = Object.freeze({
+    SCHEMA_VERSION,
+    SCHEMA,
+    DEFAULTS: Object.freeze(DEFAULTS),
+    MAX_PROFILES,
+    PROFILE_NAME_MAX,
+    DELAY_STEP_MS,
+    normalize,
+    migrate,
+    newProfileId,
+    normalizeProfiles,
+    activeProfile,
+    comboFromEvent
+  });
+})(typeof globalThis !== 'undefined' ? globalThis : self);
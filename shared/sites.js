@@ -0,0 +1,118 @@
+// shared/sites.js - the short-form video sites NextFlow supports
+// - One entry per site: host match, which pages are short-form feeds, the content adapter
+//   (content/adapters/<id>.js), how a Short's URL looks (idPattern / shortUrl), the settings
+//   switch that enables it and, where the site has one, the DOM event announcing in-app navigation
+// - linkPatterns: match patterns for links to a single Short (context menu entries)
+// - decodeHandle: an "@handle" taken from a page link, percent-decoded where it can be
+// - Used by background.js (injection, badges, tab queries), content scripts and adapters, popup and options
+// Loaded as a classic script like shared/settings.js; exposes `NextFlowSites`.
+
+(function (global) {
+  const SITES = [
+    {
+      id: 'youtube',
+      name: 'YouTube Shorts',
+      setting: 'siteYouTube',
+      tabPattern: '*://*.youtube.com/*',
+      host: /(^|\.)youtube\.com$/i,
+      feedPath: /^\/shorts\//i,
+      adapter: 'content/adapters/youtube.js',
+      idPattern: /^\/shorts\/([A-Za-z0-9_-]+)/,
+      linkPatterns: ['*://*.youtube.com/shorts/*'],
+      // fired by YouTube's single-page app after each in-app navigation
+      navEvent: 'yt-navigate-finish',
+      shortUrl: (id) => `https://www.youtube.com/shorts/${encodeURIComponent(id)}`
+    },
+    {
+      id: 'instagram',
+      name: 'Instagram Reels',
+      setting: 'siteInstagram',
+      tabPattern: '*://*.instagram.com/*',
+      host: /(^|\.)instagram\.com$/i,
+      feedPath: /^\/reels?\//i,
+      adapter: 'content/adapters/instagram.js',
+      idPattern: /^\/reels?\/([A-Za-z0-9_-]+)/,
+      linkPatterns: ['*://*.instagram.com/reel/*', '*://*.instagram.com/reels/*'],
+      shortUrl: (id) => `https://www.instagram.com/reels/${encodeURIComponent(id)}/`
+    },
+    {
+      id: 'tiktok',
+      name: 'TikTok',
+      setting: 'siteTikTok',
+      tabPattern: '*://*.tiktok.com/*',
+      host: /(^|\.)tiktok\.com$/i,
+      // For You / Following feeds and single videos (/@user/video/<id>)
+      feedPath: /^\/($|foryou|following|explore|@[^/]+\/video\/)/i,
+      adapter: 'content/adapters/tiktok.js',
+      idPattern: /\/video\/(\d+)/,
+      linkPatterns: ['*://*.tiktok.com/*/video/*'],
+      shortUrl: (id) => `https://www.tiktok.com/@/video/${encodeURIComponent(id)}`
+    }
+  ];
+
+  const TAB_PATTERNS = SITES.map(s => s.tabPattern);
+  const LINK_PATTERNS = SITES.flatMap(s => s.linkPatterns);
+
+  function byId(id) {
+    return SITES.find(s => s.id === id) || null;
+  }
+
+  // Supported site for a URL (any page on it), or null
+  function siteForUrl(url) {
+    try {
+      const u = new URL(url);
+      return SITES.find(s => s.host.test(u.hostname)) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Site whose short-form feed/player `url` is on, or null
+  function feedSiteForUrl(url) {
+    const site = siteForUrl(url);
+    if (!site) return null;
+    try {
+      return site.feedPath.test(new URL(url).pathname) ? site : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // { site, shortId } for a single Short/Reel/video URL (shortUrl() output and the usual share links), or null
+  function parseShortUrl(url) {
+    const site = siteForUrl(url);
+    if (!site) return null;
+    try {
+      const m = new URL(url).pathname.match(site.idPattern);
+      return m ? { site, shortId: m[1] } : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Per-site enable switch from settings (missing = enabled)
+  function siteEnabled(site, settings) {
+    return !!site && (!settings || settings[site.setting] !== false);
+  }
+
+  // Handles come from page-controlled hrefs; a malformed %-sequence keeps the raw text
+  function decodeHandle(raw) {
+    try {
+      return decodeURIComponent(raw);
+    } catch (e) {
+      return raw;
+    }
+  }
+
+  global.NextFlowSites = Object.freeze({
+    SITES,
+    TAB_PATTERNS,
+    LINK_PATTERNS,
+    byId,
+    siteForUrl,
+    feedSiteForUrl,
+    parseShortUrl,
+    siteEnabled,
+    decodeHandle
+  });
+})(typeof globalThis !== 'undefined' ? globalThis : self);